@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * CLI tool to rebuild the changelog from existing git tags and conventional commits
+ * Usage: node backfill-changelog.js [config-file-path] [--dry-run] [--repository-url <url>]
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { backfillChangelog } = require('./index.js');
+
+// ANSI color codes
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function parseArgs(argv) {
+  const args = { configPath: './release.config.js', dryRun: false, repositoryUrl: null };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else if (argv[i] === '--repository-url') {
+      args.repositoryUrl = argv[++i];
+    } else if (argv[i].startsWith('--repository-url=')) {
+      args.repositoryUrl = argv[i].slice('--repository-url='.length);
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  if (positional[0]) {
+    args.configPath = positional[0];
+  }
+
+  return args;
+}
+
+async function main() {
+  const { configPath, dryRun, repositoryUrl } = parseArgs(process.argv.slice(2));
+  const fullPath = path.resolve(configPath);
+
+  if (!fs.existsSync(fullPath)) {
+    console.log(colorize(`❌ Configuration file not found: ${fullPath}`, 'red'));
+    console.log(colorize('\nUsage: node backfill-changelog.js [config-file-path] [--dry-run] [--repository-url <url>]', 'yellow'));
+    process.exit(1);
+  }
+
+  try {
+    const config = require(fullPath);
+    const { changelogFile, content, releases } = await backfillChangelog(config, {
+      repositoryUrl: repositoryUrl || undefined,
+      write: !dryRun
+    });
+
+    if (releases.length === 0) {
+      console.log(colorize('ℹ️  No release tags matching the tag format were found', 'yellow'));
+    }
+
+    if (dryRun) {
+      console.log(content);
+      console.log(colorize(`🔍 Dry run: ${changelogFile} was not written (${releases.length} releases)`, 'cyan'));
+    } else {
+      console.log(colorize(`✅ Rebuilt ${changelogFile} from ${releases.length} releases`, 'green'));
+    }
+  } catch (error) {
+    console.log(colorize(`❌ Error rebuilding changelog: ${error.message}`, 'red'));
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,140 @@
+/**
+ * Commit message rules matching the commit-analyzer setup of a release config.
+ *
+ * The same convention feeds the exported commitlint config and the commit-msg hook, so a
+ * message accepted by either is parsed by commit-analyzer at release time.
+ */
+
+// Header patterns of the presets' parserOpts
+const HEADER_PATTERNS = {
+  angular: '^(\\w*)(?:\\((.*)\\))?: (.*)$',
+  conventionalcommits: '^(\\w*)(?:\\((.*)\\))?!?: (.*)$'
+};
+
+// Types of the Angular convention, also the conventionalcommits preset defaults
+const DEFAULT_TYPES = ['feat', 'fix', 'perf', 'revert', 'docs', 'style', 'chore', 'refactor', 'test', 'build', 'ci'];
+
+/**
+ * Derives the commit convention from commit-analyzer options.
+ *
+ * @param {Object} [analyzerOptions={}] - commit-analyzer options ({ preset, presetConfig, releaseRules })
+ * @returns {Object} { preset, headerPattern, types }
+ */
+function conventionFromAnalyzerOptions(analyzerOptions = {}) {
+  const { preset = 'angular', presetConfig = {}, releaseRules = [] } = analyzerOptions || {};
+
+  if (!HEADER_PATTERNS[preset]) {
+    throw new Error(`Commit linting supports the ${Object.keys(HEADER_PATTERNS).join(' and ')} presets (got "${preset}")`);
+  }
+
+  const types = [...DEFAULT_TYPES];
+  (presetConfig.types || []).concat(releaseRules).forEach(rule => {
+    if (typeof rule.type === 'string' && /^\w+$/.test(rule.type) && !types.includes(rule.type)) {
+      types.push(rule.type);
+    }
+  });
+
+  return { preset, headerPattern: HEADER_PATTERNS[preset], types };
+}
+
+/**
+ * Checks a commit message against a convention.
+ *
+ * Merge, revert, fixup!, squash! and amend! commits are accepted as git writes them.
+ * This function is also copied into the generated hook, so it must not use anything outside its body.
+ *
+ * @param {string} message - Commit message (lines starting with # are ignored)
+ * @param {Object} convention - { preset, headerPattern, types }
+ * @returns {Object} { valid, errors, type }
+ */
+function checkCommitMessage(message, convention) {
+  const lines = String(message).split('\n').filter(line => !line.startsWith('#'));
+  const header = (lines.find(line => line.trim() !== '') || '').trim();
+  const errors = [];
+
+  if (!header) {
+    return { valid: false, errors: ['Commit message is empty'], type: null };
+  }
+  if (/^(Merge |Revert "|(fixup|squash|amend)! )/.test(header)) {
+    return { valid: true, errors, type: null };
+  }
+
+  const match = new RegExp(convention.headerPattern).exec(header);
+  if (!match) {
+    const hint = /^\w+(\(.*\))?!: /.test(header)
+      ? `"!" is not part of the ${convention.preset} preset, mark breaking changes with a "BREAKING CHANGE:" footer`
+      : 'expected "type(scope): subject", e.g. "feat(parser): support arrays"';
+    errors.push(`Header "${header}" is not understood by the release tooling: ${hint}`);
+    return { valid: false, errors, type: null };
+  }
+
+  const [, type, , subject] = match;
+  if (!convention.types.includes(type)) {
+    const suggestion = convention.types.includes(type.toLowerCase()) ? ` (did you mean "${type.toLowerCase()}"?)` : '';
+    errors.push(`Unknown type "${type}"${suggestion}, allowed: ${convention.types.join(', ')}`);
+  }
+  if (!subject.trim()) {
+    errors.push('Subject is empty');
+  }
+
+  return { valid: errors.length === 0, errors, type };
+}
+
+/**
+ * Converts a convention to a commitlint config (no extra commitlint packages needed).
+ *
+ * @param {Object} convention - { preset, headerPattern, types }
+ * @returns {Object} commitlint config
+ */
+function toCommitlintConfig(convention) {
+  return {
+    parserPreset: {
+      parserOpts: {
+        headerPattern: new RegExp(convention.headerPattern),
+        headerCorrespondence: ['type', 'scope', 'subject']
+      }
+    },
+    rules: {
+      'type-empty': [2, 'never'],
+      'type-enum': [2, 'always', convention.types],
+      'subject-empty': [2, 'never']
+    }
+  };
+}
+
+const HOOK_MARKER = 'Generated by @clash-strategic/release-config';
+
+/**
+ * Creates a self-contained commit-msg hook (a Node.js script) enforcing a convention.
+ *
+ * @param {Object} convention - { preset, headerPattern, types }
+ * @returns {string} Hook script
+ */
+function createCommitMsgHook(convention) {
+  return `#!/usr/bin/env node
+// ${HOOK_MARKER} (install-commit-hook).
+// Run it again after changing preset, releaseRules or notesSections.
+
+const fs = require('fs');
+
+const convention = ${JSON.stringify(convention, null, 2)};
+
+${checkCommitMessage.toString()}
+
+const result = checkCommitMessage(fs.readFileSync(process.argv[2], 'utf8'), convention);
+if (!result.valid) {
+  console.error('✖ Commit message rejected:');
+  result.errors.forEach(error => console.error(\`  - \${error}\`));
+  console.error('  (bypass with git commit --no-verify)');
+  process.exit(1);
+}
+`;
+}
+
+module.exports = {
+  HOOK_MARKER,
+  conventionFromAnalyzerOptions,
+  checkCommitMessage,
+  toCommitlintConfig,
+  createCommitMsgHook
+};
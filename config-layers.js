@@ -0,0 +1,194 @@
+/**
+ * Layered options for buildSemanticReleaseConfig.
+ *
+ * Layers, from lowest to highest precedence:
+ *   profile       defaults of the selected profile
+ *   org           file named by "extends" in the repo settings (path or package)
+ *   repo          "releaseConfig" key in package.json, then .release-config.json
+ *   arguments     options passed to buildSemanticReleaseConfig
+ *
+ * Plain objects are deep-merged; arrays and other values are replaced.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const REPO_CONFIG_FILE = '.release-config.json';
+
+/**
+ * Resolves the final options and the layer each value came from.
+ *
+ * @param {Object} args - Options passed to buildSemanticReleaseConfig
+ * @param {Function} getProfileDefaults - Returns the defaults of a profile name
+ * @returns {{ options: Object, sources: Object, layers: Array<string> }} Merged options, a map of option path
+ *   to layer name, and the layer names from lowest to highest precedence
+ */
+function resolveLayeredOptions(args, getProfileDefaults) {
+  const projectPath = args.projectPath || process.cwd();
+  const layers = [];
+
+  if (args.configFiles !== false) {
+    const repoLayers = readRepoLayers(projectPath);
+    // Same precedence as every other option: arguments, then .release-config.json, then package.json
+    const extendsValue = [args.extends].concat(repoLayers.map(layer => layer.values.extends).reverse()).filter(Boolean)[0];
+
+    if (extendsValue) {
+      layers.push({ name: `org (${extendsValue})`, values: readOrgLayer(extendsValue, projectPath) });
+    }
+    layers.push(...repoLayers);
+  }
+  layers.push({ name: 'arguments', values: args });
+
+  // The profile can be chosen by any layer, its defaults sit below all of them
+  const selected = mergeLayers(layers);
+  const profileDefaults = getProfileDefaults(selected.options.profile);
+  if (Object.keys(profileDefaults).length > 0) {
+    layers.unshift({ name: `profile (${selected.options.profile})`, values: profileDefaults });
+  }
+
+  const { options, sources } = mergeLayers(layers);
+  delete options.extends;
+  delete sources.extends;
+
+  if (options.debug || process.env.RELEASE_CONFIG_DEBUG) {
+    printSources(options, sources);
+  }
+
+  return { options, sources, layers: layers.map(layer => layer.name) };
+}
+
+/**
+ * Reads the repo settings: package.json "releaseConfig", then .release-config.json.
+ *
+ * @param {string} projectPath - Project directory
+ * @returns {Array<Object>} Layers as { name, values }
+ */
+function readRepoLayers(projectPath) {
+  const layers = [];
+
+  const packageJsonPath = path.join(projectPath, 'package.json');
+  if (fs.existsSync(packageJsonPath)) {
+    const packageJson = readJson(packageJsonPath);
+    if (packageJson.releaseConfig) {
+      layers.push({ name: 'package.json#releaseConfig', values: packageJson.releaseConfig });
+    }
+  }
+
+  const repoFilePath = path.join(projectPath, REPO_CONFIG_FILE);
+  if (fs.existsSync(repoFilePath)) {
+    layers.push({ name: REPO_CONFIG_FILE, values: readJson(repoFilePath) });
+  }
+
+  return layers;
+}
+
+/**
+ * Loads the org defaults named by "extends": a file path relative to the project or a package name.
+ *
+ * @param {string} extendsValue - Path or package name
+ * @param {string} projectPath - Project directory
+ * @returns {Object} Org defaults
+ */
+function readOrgLayer(extendsValue, projectPath) {
+  let filePath;
+
+  try {
+    filePath = /^[./]/.test(extendsValue)
+      ? path.resolve(projectPath, extendsValue)
+      : require.resolve(extendsValue, { paths: [projectPath] });
+  } catch (error) {
+    throw new Error(`Cannot find org defaults "${extendsValue}": ${error.message}`);
+  }
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Cannot find org defaults "${extendsValue}" (${filePath})`);
+  }
+
+  const values = filePath.endsWith('.json') ? readJson(filePath) : require(filePath);
+  if (values && values.extends) {
+    throw new Error(`Org defaults "${extendsValue}" cannot use "extends" themselves`);
+  }
+
+  return values || {};
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Deep-merges layers in order, recording the layer that set each value.
+ *
+ * @param {Array<Object>} layers - Layers as { name, values }, lowest precedence first
+ * @returns {{ options: Object, sources: Object }} Merged options and value sources
+ */
+function mergeLayers(layers) {
+  const options = {};
+  const sources = {};
+
+  const merge = (target, values, layerName, prefix) => {
+    Object.keys(values).forEach(key => {
+      const value = values[key];
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+
+      if (value === undefined) {
+        return;
+      }
+
+      if (isPlainObject(value)) {
+        if (!isPlainObject(target[key])) {
+          target[key] = {};
+          clearSources(sources, keyPath);
+        }
+        merge(target[key], value, layerName, keyPath);
+        if (Object.keys(value).length === 0 && !Object.keys(sources).some(source => source.startsWith(`${keyPath}.`))) {
+          sources[keyPath] = layerName;
+        }
+      } else {
+        target[key] = value;
+        clearSources(sources, keyPath);
+        // An empty object recorded for a parent no longer describes where its values came from
+        keyPath.split('.').slice(0, -1).forEach((part, index, parts) => {
+          delete sources[parts.slice(0, index + 1).join('.')];
+        });
+        sources[keyPath] = layerName;
+      }
+    });
+  };
+
+  layers.forEach(layer => merge(options, layer.values || {}, layer.name, ''));
+
+  return { options, sources };
+}
+
+function clearSources(sources, keyPath) {
+  Object.keys(sources).forEach(source => {
+    if (source === keyPath || source.startsWith(`${keyPath}.`)) {
+      delete sources[source];
+    }
+  });
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function printSources(options, sources) {
+  const valueAt = keyPath => keyPath.split('.').reduce((value, key) => (value ? value[key] : undefined), options);
+  const width = Math.max(0, ...Object.keys(sources).map(key => key.length));
+
+  console.log('[release-config] option sources (unlisted options use built-in defaults):');
+  Object.keys(sources).sort().forEach(keyPath => {
+    const value = util.inspect(valueAt(keyPath), { depth: 2, breakLength: Infinity });
+    console.log(`  ${keyPath.padEnd(width)}  ${value}  <- ${sources[keyPath]}`);
+  });
+}
+
+module.exports = {
+  resolveLayeredOptions
+};
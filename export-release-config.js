@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+/**
+ * CLI tool to write a static .releaserc.json snapshot of release.config.js
+ * Usage: node export-release-config.js [config-file-path] [--output <file>] [--stdout]
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+// Export the full CI setup, not the local dry run (see buildSemanticReleaseConfig's environment option)
+if (process.env.RELEASE_DRY_RUN === undefined) {
+  process.env.RELEASE_DRY_RUN = 'false';
+}
+
+const { exportReleaseConfig } = require('./index.js');
+
+// ANSI color codes
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m'
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function parseArgs(argv) {
+  const args = { configPath: './release.config.js', output: '.releaserc.json', stdout: false };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--output') {
+      args.output = argv[++i];
+    } else if (argv[i].startsWith('--output=')) {
+      args.output = argv[i].slice('--output='.length);
+    } else if (argv[i] === '--stdout') {
+      args.stdout = true;
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  if (positional[0]) {
+    args.configPath = positional[0];
+  }
+
+  return args;
+}
+
+function main() {
+  const { configPath, output, stdout } = parseArgs(process.argv.slice(2));
+  const fullPath = path.resolve(configPath);
+
+  if (!fs.existsSync(fullPath)) {
+    console.error(colorize(`❌ Configuration file not found: ${fullPath}`, 'red'));
+    console.error(colorize('\nUsage: node export-release-config.js [config-file-path] [--output <file>] [--stdout]', 'yellow'));
+    process.exit(1);
+  }
+
+  try {
+    const { file, content } = exportReleaseConfig(require(fullPath), { output, write: !stdout });
+
+    if (stdout) {
+      process.stdout.write(content);
+    } else {
+      console.log(colorize(`✅ Wrote ${path.relative(process.cwd(), file)} from ${configPath}`, 'green'));
+    }
+  } catch (error) {
+    console.error(colorize(`❌ Error exporting configuration: ${error.message}`, 'red'));
+    process.exit(1);
+  }
+}
+
+main();
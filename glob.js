@@ -0,0 +1,140 @@
+/**
+ * Minimal glob matching used for update-version file paths and workspace patterns.
+ *
+ * Supports "*", "**", "?", "{a,b}" alternatives and "[abc]" character classes.
+ * node_modules and .git are never walked unless the pattern names them explicitly.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const IGNORED_DIRECTORIES = ['node_modules', '.git'];
+
+/**
+ * Whether a path contains glob syntax.
+ *
+ * With a base directory, a path naming an existing file is literal even if it contains
+ * glob characters (e.g. Next.js routes like 'pages/[id].js').
+ *
+ * @param {string} pattern - Path or glob pattern
+ * @param {string} [cwd] - Directory the path is relative to
+ * @returns {boolean} True if the path must be expanded
+ */
+function isGlob(pattern, cwd) {
+  if (!/[*?[{]/.test(pattern)) {
+    return false;
+  }
+  return !(cwd && fs.existsSync(path.resolve(cwd, pattern)));
+}
+
+/**
+ * Converts a glob pattern to a regular expression matching POSIX relative paths.
+ *
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories, a trailing "**" matches everything below
+        if (pattern[i + 2] === '/') {
+          source += '(?:[^/]+/)*';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Expands a glob pattern relative to a base directory.
+ *
+ * @param {string} pattern - Glob pattern (e.g. 'src/**\/version.php', 'config/*.json')
+ * @param {string} cwd - Directory the pattern is relative to
+ * @returns {Array<string>} Sorted matching paths relative to cwd (POSIX separators)
+ */
+function expandGlob(pattern, cwd) {
+  const normalized = pattern.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+  const segments = normalized.split('/');
+
+  // Start walking at the longest literal prefix of the pattern
+  const baseSegments = [];
+  while (segments.length > 1 && !isGlob(segments[0])) {
+    baseSegments.push(segments.shift());
+  }
+
+  const base = baseSegments.join('/');
+  const regex = globToRegExp(normalized);
+  const maxDepth = normalized.includes('**') ? Infinity : segments.length;
+  const explicitlyIgnored = IGNORED_DIRECTORIES.filter(name => normalized.split('/').includes(name));
+  const matches = [];
+
+  const walk = (relativeDir, depth) => {
+    const absoluteDir = path.join(cwd, relativeDir);
+    let entries;
+
+    try {
+      entries = fs.readdirSync(absoluteDir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    entries.forEach(entry => {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        if (IGNORED_DIRECTORIES.includes(entry.name) && !explicitlyIgnored.includes(entry.name)) {
+          return;
+        }
+        if (depth < maxDepth) {
+          walk(relativePath, depth + 1);
+        }
+      } else if (entry.isFile() && regex.test(relativePath)) {
+        matches.push(relativePath);
+      }
+    });
+  };
+
+  walk(base, 1);
+
+  return matches.sort();
+}
+
+module.exports = {
+  isGlob,
+  globToRegExp,
+  expandGlob
+};
@@ -6,64 +6,1120 @@
  */
 
 const path = require('path');
+const {
+  resolveAdapterType,
+  supportedTypes: supportedAdapterTypes
+} = require('./version-adapters.js');
+const { isGlob, globToRegExp, expandGlob } = require('./glob.js');
+const { stageUpdates } = require('./version-engine.js');
+const { resolveLayeredOptions } = require('./config-layers.js');
+const { toPortableConfig } = require('./release-snapshot.js');
+const { CALLBACK_STEPS } = require('./lifecycle-callbacks.js');
+const { toYaml } = require('./workflow-yaml.js');
+const { detectNodeVersion, nodeVersionMatrix } = require('./node-version.js');
+const {
+  HOOK_MARKER,
+  conventionFromAnalyzerOptions,
+  toCommitlintConfig,
+  createCommitMsgHook
+} = require('./commit-convention.js');
+const {
+  RELEASE_TYPES,
+  COMMENT_SCRIPT,
+  formatReleasePreview
+} = require('./release-preview.js');
 
 /**
  * Creates a semantic-release configuration with sensible defaults.
  *
  * @param {Object} [options={}] - Configuration options
  * @param {Array|string} [options.branches=['main', {name: 'beta', prerelease: 'beta'}]] - Branches to release from
+ * @param {Object} [options.branchStrategy] - Builds branches with buildBranches() (e.g. { maintenance: true, prereleases: ['alpha', 'beta', 'rc'] })
  * @param {boolean} [options.npmPublish=false] - Whether to publish to npm registry
+ * @param {string} [options.profile] - Project type defaults: 'library', 'app', 'php' or 'docs' (explicit options still win)
+ * @param {boolean} [options.npmPlugin=true] - Whether to include @semantic-release/npm at all
  * @param {Array<string>} [options.gitAssets=['CHANGELOG.md', 'package.json', 'package-lock.json']] - Files to commit during release
+ *   (the defaults follow changelogFile, and leave out changelog and npm files when those plugins are off)
+ * @param {boolean} [options.changelog=true] - Whether to include @semantic-release/changelog
+ * @param {string} [options.changelogFile='CHANGELOG.md'] - Changelog file (relative to the package in workspace mode)
+ * @param {string} [options.changelogTitle] - Title kept at the top of the changelog
  * @param {string} [options.gitMessage] - Custom git commit message template
  * @param {Array} [options.extraPrepare=[]] - Additional prepare plugins to run before git commit
+ * @param {Object} [options.extraPlugins={}] - Plugins keyed by lifecycle step (verifyConditions, analyzeCommits,
+ *   verifyRelease, generateNotes, prepare, publish, addChannel, success, fail). Each item is a plugin entry or
+ *   { plugin, before, after } naming a plugin already in the config; the same plugin added twice is merged into one entry
+ * @param {string} [options.preset] - conventional-changelog preset for commit-analyzer and release-notes-generator (e.g. 'conventionalcommits')
+ * @param {Array<Object>|Object} [options.releaseRules] - Extra commit-analyzer release rules, e.g. { perf: 'patch', 'docs(readme)': false }
+ * @param {Array<Object>|Object} [options.notesSections] - Release notes sections, e.g. { perf: 'Performance', chore: false } (conventionalcommits preset)
+ * @param {Array<string|Object>} [options.releaseAssets=[]] - GitHub release assets: paths or globs, or { path, label, name }
+ * @param {boolean|string} [options.releaseManifest=false] - Upload a release manifest (true for 'release-manifest.json')
+ *   listing version, commit SHA, size and SHA-256 checksum of every release asset
+ * @param {Array<Object>|Object} [options.versionFiles] - update-version file entries (or { files, datetimeFormat, timezone, buildNumber });
+ *   adds the update-version plugin before extraPrepare and commits the files with the git plugin
+ * @param {string} [options.workspace] - Workspace package name or directory to build a per-package config for
+ * @param {string} [options.tagFormat] - Git tag format (defaults to '<package>@v${version}' in workspace mode)
+ * @param {string} [options.projectPath=process.cwd()] - Repository root used to resolve workspaces
+ *
+ * @param {boolean|Object} [options.notifications=false] - Post success/failure notifications to webhooks (Slack, Discord, JSON);
+ *   true reads the URL from RELEASE_WEBHOOK_URL, or pass { webhooks: [{ urlEnv, format, events, template }], retries, timeout }
+ * @param {Function} [options.onPrepare] - Called with the semantic-release context at prepare (before the git commit)
+ * @param {Function} [options.onSuccess] - Called with the context after a successful release
+ * @param {Function} [options.onFail] - Called with the context and the errors of a failed release
+ *   (also onVerifyConditions, onVerifyRelease, onPublish and onAddChannel); run from a generated local plugin
+ * @param {string} [options.environment='auto'] - 'local' builds a dry run without git, GitHub and npm plugins, 'ci' the
+ *   full setup; 'auto' uses 'local' outside CI or when RELEASE_DRY_RUN is set
+ * @param {string} [options.extends] - Org defaults file (path or package) merged below the repo settings
+ * @param {boolean} [options.configFiles=true] - Whether to read package.json "releaseConfig" and .release-config.json
+ * @param {boolean} [options.debug=false] - Log which layer each option came from (also RELEASE_CONFIG_DEBUG=1)
  *
  * @returns {Object} Complete semantic-release configuration object
  *
- * @example
- * // Basic usage - creates config for main branch only, no npm publishing
- * const config = buildSemanticReleaseConfig();
+ * @example
+ * // Basic usage - creates config for main branch only, no npm publishing
+ * const config = buildSemanticReleaseConfig();
+ *
+ * @example
+ * // Options are also read from package.json "releaseConfig" and .release-config.json, e.g.
+ * // { "extends": "@acme/release-defaults/release-config.json", "npmPublish": true }
+ * // Arguments still win; debug shows where each value came from
+ * const config = buildSemanticReleaseConfig({ debug: true });
+ *
+ * @example
+ * // Enable npm publishing
+ * const config = buildSemanticReleaseConfig({ npmPublish: true });
+ *
+ * @example
+ * // Maintenance branches (1.x, 2.x, ...) and alpha/beta/rc prereleases
+ * const config = buildSemanticReleaseConfig({
+ *   branchStrategy: { maintenance: true, prereleases: ['alpha', 'beta', 'rc'] }
+ * });
+ *
+ * @example
+ * // PHP service - no @semantic-release/npm, no package.json or package-lock.json
+ * const config = buildSemanticReleaseConfig({ profile: 'php' });
+ *
+ * @example
+ * // Custom branches and additional files to commit
+ * const config = buildSemanticReleaseConfig({
+ *   branches: ['main', 'develop'],
+ *   gitAssets: ['CHANGELOG.md', 'package.json', 'version.txt'],
+ *   extraPrepare: [['@semantic-release/exec', { prepareCmd: 'npm run build' }]]
+ * });
+ *
+ * @example
+ * // Upload build artifacts and a checksum manifest with the GitHub release
+ * const config = buildSemanticReleaseConfig({
+ *   releaseAssets: [{ path: 'dist/*.zip', label: 'Distribution' }],
+ *   releaseManifest: true
+ * });
+ *
+ * @example
+ * // Inline callbacks instead of a separate plugin
+ * const config = buildSemanticReleaseConfig({
+ *   onSuccess: async ({ nextRelease }) => fs.writeFileSync('released.txt', nextRelease.version),
+ *   onFail: async (context, errors) => notifyTeam(errors)
+ * });
+ *
+ * @example
+ * // Plugins at other lifecycle steps
+ * const config = buildSemanticReleaseConfig({
+ *   extraPlugins: {
+ *     verifyConditions: [['@semantic-release/exec', { verifyConditionsCmd: './check-env.sh' }]],
+ *     publish: [{ plugin: ['@semantic-release/exec', { publishCmd: './deploy.sh' }], before: '@semantic-release/github' }],
+ *     fail: ['semantic-release-slack-bot']
+ *   }
+ * });
+ *
+ * @example
+ * // Conventional commits with custom release rules and notes sections
+ * const config = buildSemanticReleaseConfig({
+ *   preset: 'conventionalcommits',
+ *   releaseRules: { perf: 'patch', 'chore(deps)': 'patch', 'docs(readme)': false },
+ *   notesSections: { perf: 'Performance', deps: 'Dependencies' }
+ * });
+ *
+ * @example
+ * // Bump version files and commit them, without repeating their paths in gitAssets
+ * const config = buildSemanticReleaseConfig({
+ *   versionFiles: [
+ *     { path: 'composer.json', key: 'version' },
+ *     { path: 'src/Version.php', pattern: /VERSION = '.*?'/, replacement: "VERSION = '{version}'" }
+ *   ]
+ * });
+ *
+ * @example
+ * // Workspace package - gitAssets are relative to the package directory
+ * const config = buildSemanticReleaseConfig({ workspace: process.env.RELEASE_WORKSPACE });
+ */
+function buildSemanticReleaseConfig(options = {}) {
+  // Handle null/undefined options; layers: profile, org file, repo file, then arguments
+  const { options: opts, sources, layers } = resolveLayeredOptions(options || {}, getProfileDefaults);
+
+  if (opts.branchStrategy) {
+    // Whichever layer is higher wins; both in the same layer is ambiguous
+    const strategySource = Object.keys(sources).find(key => key === 'branchStrategy' || key.startsWith('branchStrategy.'));
+    const strategyRank = layers.indexOf(sources[strategySource]);
+    const branchesRank = sources.branches ? layers.indexOf(sources.branches) : -1;
+
+    if (strategyRank === branchesRank) {
+      throw new Error(`Use either "branches" or "branchStrategy", not both (${sources.branches})`);
+    }
+    if (strategyRank > branchesRank) {
+      opts.branches = buildBranches(opts.branchStrategy);
+    }
+  }
+
+  const workspace = opts.workspace
+    ? resolveWorkspace(opts.workspace, opts.projectPath || process.cwd())
+    : null;
+
+  const {
+    branches = [
+      'main',
+      { name: 'beta', prerelease: 'beta' }
+    ],
+    npmPublish = false,
+    npmPlugin = true,
+    changelog = true,
+    changelogFile = 'CHANGELOG.md',
+    changelogTitle,
+    gitMessage = workspace
+      ? `chore(release): ${workspace.name}@\${nextRelease.version} [skip ci]\n\n\${nextRelease.notes}`
+      : 'chore(release): ${nextRelease.version} [skip ci]\n\n${nextRelease.notes}',
+    tagFormat = workspace ? `${workspace.shortName}@v\${version}` : undefined,
+    extraPrepare = [],
+    extraPlugins = {},
+    environment = 'auto',
+    releaseAssets = [],
+    releaseManifest = false,
+    notifications = false,
+    versionFiles = null,
+    preset,
+    releaseRules,
+    notesSections
+  } = opts;
+
+  // Same preset settings for commit-analyzer and release-notes-generator, so bumps and notes agree
+  const { analyzerOptions, notesOptions } = buildCommitConventionOptions({ preset, releaseRules, notesSections });
+
+  // In workspace mode, file paths are relative to the package directory
+  const inPackage = file => (workspace ? `${workspace.path}/${file}` : file);
+
+  const {
+    gitAssets = [
+      ...(changelog ? [changelogFile] : []),
+      ...(npmPlugin ? ['package.json'] : []),
+      // Workspaces share the root lockfile, added below
+      ...(npmPlugin && !workspace ? ['package-lock.json'] : [])
+    ]
+  } = opts;
+
+  const manifestPath = releaseManifest ? inPackage(releaseManifest === true ? 'release-manifest.json' : releaseManifest) : null;
+  const githubAssets = [
+    ...releaseAssets.map(asset => (typeof asset === 'string' ? { path: inPackage(asset) } : { ...asset, path: inPackage(asset.path) })),
+    ...(manifestPath ? [{ path: manifestPath, label: 'Release manifest (SHA-256 checksums)' }] : [])
+  ];
+
+  const changelogOptions = {
+    ...(workspace || changelogFile !== 'CHANGELOG.md' ? { changelogFile: inPackage(changelogFile) } : {}),
+    ...(changelogTitle ? { changelogTitle } : {})
+  };
+
+  const assets = gitAssets.map(inPackage);
+
+  // npm rewrites the root package-lock.json when a workspace version is bumped
+  if (workspace && npmPlugin && !assets.includes('package-lock.json')) {
+    assets.push('package-lock.json');
+  }
+  const versionPlugin = versionFiles ? createVersionFilesPlugin(versionFiles, inPackage) : null;
+
+  // Files bumped by update-version must be committed too
+  if (versionPlugin) {
+    versionPlugin[1].files.forEach(file => {
+      if (file.path && !assets.includes(file.path)) {
+        assets.push(file.path);
+      }
+    });
+  }
+
+  const plugins = [
+    // Commits, changelog, npm version bump and git assets are all scoped to the package directory
+    ...(workspace
+      ? [[path.join(__dirname, 'workspace-commits.js'), { workspacePath: workspace.path, ...analyzerOptions, ...notesOptions }]]
+      : [
+        withOptions('@semantic-release/commit-analyzer', analyzerOptions),
+        withOptions('@semantic-release/release-notes-generator', notesOptions)
+      ]),
+    ...(npmPlugin
+      ? [['@semantic-release/npm', workspace ? { npmPublish, pkgRoot: workspace.path } : { npmPublish }]]
+      : []),
+    ...(changelog ? [withOptions('@semantic-release/changelog', changelogOptions)] : []),
+    ...(versionPlugin ? [versionPlugin] : []),
+    ['@semantic-release/git', { assets, message: gitMessage }],
+    withOptions('@semantic-release/github', githubAssets.length > 0 ? { assets: githubAssets } : {})
+  ];
+
+  insertPlugins(plugins, extraPrepare.map(plugin => ({ step: 'prepare', plugin })));
+  Object.keys(extraPlugins).forEach(step => {
+    insertPlugins(plugins, [].concat(extraPlugins[step]).map(item => (
+      isPlacement(item) ? { ...item, step } : { step, plugin: item }
+    )));
+  });
+
+  // Inline callbacks run from one generated local plugin, before git so onPrepare changes are committed
+  const callbacks = {};
+  Object.keys(CALLBACK_STEPS).forEach(name => {
+    if (opts[name] === undefined) return;
+    if (typeof opts[name] !== 'function') {
+      throw new Error(`"${name}" must be a function (got ${typeof opts[name]})`);
+    }
+    callbacks[name] = opts[name];
+  });
+  if (Object.keys(callbacks).length > 0) {
+    insertPlugins(plugins, [{ step: 'prepare', plugin: [path.join(__dirname, 'lifecycle-callbacks.js'), callbacks] }]);
+  }
+
+  if (notifications) {
+    insertPlugins(plugins, [{
+      step: 'success',
+      plugin: [path.join(__dirname, 'webhook-notifications.js'), notifications === true ? {} : notifications]
+    }]);
+  }
+
+  // The manifest is written right before the github plugin uploads it with the assets
+  if (manifestPath) {
+    insertPlugins(plugins, [{
+      step: 'publish',
+      plugin: [path.join(__dirname, 'release-manifest.js'), { assets: githubAssets, manifestPath }],
+      before: '@semantic-release/github'
+    }]);
+  }
+
+  const config = {
+    branches,
+    plugins
+  };
+
+  if (tagFormat) {
+    config.tagFormat = tagFormat;
+  }
+
+  if (isLocalRun(environment)) {
+    const reason = environment === 'local'
+      ? 'environment is "local"'
+      : process.env.RELEASE_DRY_RUN ? 'RELEASE_DRY_RUN is set' : 'not running in CI';
+    makeLocalDryRun(config, reason);
+  }
+
+  return config;
+}
+
+// Plugins that push, tag, publish or notify; left out of local dry runs
+const PUBLISHING_PLUGINS = [
+  '@semantic-release/git',
+  '@semantic-release/github',
+  '@semantic-release/npm',
+  'release-manifest.js',
+  'webhook-notifications.js'
+];
+
+/**
+ * Whether the config is built for a local run rather than CI.
+ *
+ * RELEASE_DRY_RUN forces local mode ("false" or "0" forces the full setup); otherwise
+ * any common CI variable means CI.
+ *
+ * @param {string} [environment='auto'] - 'auto', 'ci' or 'local'
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {boolean} True for a local run
+ */
+function isLocalRun(environment = 'auto', env = process.env) {
+  if (environment === 'ci' || environment === 'local') {
+    return environment === 'local';
+  }
+  if (environment !== 'auto') {
+    throw new Error(`Invalid environment "${environment}" (expected 'auto', 'ci' or 'local')`);
+  }
+
+  if (env.RELEASE_DRY_RUN !== undefined && env.RELEASE_DRY_RUN !== '') {
+    return !['false', '0'].includes(env.RELEASE_DRY_RUN.toLowerCase());
+  }
+
+  const ciVariables = ['GITHUB_ACTIONS', 'GITLAB_CI', 'CIRCLECI', 'TRAVIS', 'BUILDKITE', 'JENKINS_URL', 'TF_BUILD', 'BITBUCKET_BUILD_NUMBER', 'DRONE'];
+  const isCI = (env.CI !== undefined && env.CI !== 'false' && env.CI !== '0') || ciVariables.some(name => env[name]);
+
+  return !isCI;
+}
+
+/**
+ * Turns a config into a safe local dry run: sets dryRun and removes publishing plugins.
+ * Nothing is printed here; the local-dry-run plugin reports the changes when semantic-release runs.
+ *
+ * @param {Object} config - semantic-release config, modified in place
+ * @param {string} reason - Why the run is local, for the reported summary
+ */
+function makeLocalDryRun(config, reason) {
+  const removed = config.plugins.filter(entry => findPluginIndex([entry], PUBLISHING_PLUGINS) !== -1);
+
+  // Local plugins are shown by file name rather than absolute path
+  const names = removed.map(entry => (path.isAbsolute(getPluginName(entry)) ? path.basename(getPluginName(entry)) : getPluginName(entry)));
+
+  config.dryRun = true;
+  config.plugins = [
+    [path.join(__dirname, 'local-dry-run.js'), { reason, removed: names }],
+    ...config.plugins.filter(entry => !removed.includes(entry))
+  ];
+}
+
+// Defaults applied by the profile option, below any option passed explicitly
+const PROFILES = {
+  // npm libraries: published to the registry
+  library: {
+    npmPublish: true
+  },
+  // Private web apps: version bumped in package.json, never published
+  app: {
+    npmPublish: false
+  },
+  // PHP services: no npm at all
+  php: {
+    npmPlugin: false
+  },
+  // Docs sites: documentation changes are what gets released
+  docs: {
+    npmPublish: false,
+    branches: ['main'],
+    releaseRules: { docs: 'patch' },
+    notesSections: { docs: 'Documentation' }
+  }
+};
+
+/**
+ * Returns the option defaults of a profile.
+ *
+ * @param {string} [profile] - Profile name
+ * @returns {Object} Option defaults (empty when no profile is given)
+ */
+function getProfileDefaults(profile) {
+  if (!profile) {
+    return {};
+  }
+
+  if (!PROFILES[profile]) {
+    throw new Error(`Unknown profile "${profile}" (supported: ${Object.keys(PROFILES).join(', ')})`);
+  }
+
+  return PROFILES[profile];
+}
+
+// semantic-release's usual pattern for maintenance branches: 1.x, 1.2.x, ...
+const MAINTENANCE_BRANCH_PATTERN = '+([0-9])?(.{+([0-9]),x}).x';
+const MAX_RELEASE_BRANCHES = 3;
+
+/**
+ * Builds semantic-release branch definitions from a branch strategy.
+ *
+ * @param {Object} [strategy={}] - Branch strategy
+ * @param {Array<string|Object>|string} [strategy.release=['main']] - Release branches (at most 3), e.g. ['main', 'next']
+ * @param {boolean|Array<string|Object>} [strategy.maintenance=false] - true for N.x / N.N.x branches, or explicit
+ *   maintenance branches (e.g. ['1.x', { name: 'legacy', range: '2.x' }])
+ * @param {Array<string|Object>} [strategy.prereleases=[]] - Prerelease branches; names become the prerelease identifier
+ * @param {Object} [strategy.channels={}] - Distribution channel (npm dist-tag) per branch name, e.g. { next: 'next' }
+ * @returns {Array<string|Object>} semantic-release branches
+ *
+ * @example
+ * buildBranches({ maintenance: true, prereleases: ['alpha', 'beta', 'rc'] });
+ * // ['+([0-9])?(.{+([0-9]),x}).x', 'main',
+ * //  { name: 'alpha', prerelease: 'alpha' }, { name: 'beta', prerelease: 'beta' }, { name: 'rc', prerelease: 'rc' }]
+ */
+function buildBranches(strategy = {}) {
+  const {
+    release = ['main'],
+    maintenance = false,
+    prereleases = [],
+    channels = {}
+  } = strategy || {};
+
+  const withChannel = branch => {
+    const name = typeof branch === 'string' ? branch : branch.name;
+    if (!channels[name]) {
+      return branch;
+    }
+    return { ...(typeof branch === 'string' ? { name } : branch), channel: channels[name] };
+  };
+
+  const maintenanceBranches = maintenance === true
+    ? [MAINTENANCE_BRANCH_PATTERN]
+    : (maintenance || []);
+
+  const prereleaseBranches = prereleases.map(branch => (
+    typeof branch === 'string' ? { name: branch, prerelease: branch } : { prerelease: branch.name, ...branch }
+  ));
+
+  const branches = [
+    ...maintenanceBranches,
+    ...[].concat(release),
+    ...prereleaseBranches
+  ].map(withChannel);
+
+  const releaseCount = [].concat(release).length;
+  if (releaseCount === 0 || releaseCount > MAX_RELEASE_BRANCHES) {
+    throw new Error(`branchStrategy needs 1 to ${MAX_RELEASE_BRANCHES} release branches (got ${releaseCount})`);
+  }
+
+  return branches;
+}
+
+/**
+ * Checks semantic-release branch definitions: duplicate names, prerelease identifiers,
+ * the number of release branches and overlapping maintenance ranges.
+ *
+ * @param {Array<string|Object>} branches - Branch definitions
+ * @param {Object} result - Validation result receiving errors and warnings
+ */
+function validateBranches(branches, result) {
+  const names = new Set();
+  const maintenance = [];
+  let releaseCount = 0;
+
+  branches.forEach((branch, index) => {
+    const definition = typeof branch === 'string' ? { name: branch } : branch;
+    const label = `Branch #${index + 1}`;
+
+    if (!definition || typeof definition !== 'object' || !definition.name || typeof definition.name !== 'string') {
+      result.errors.push(`${label}: must be a branch name or an object with a "name"`);
+      return;
+    }
+
+    if (names.has(definition.name)) {
+      result.errors.push(`${label}: duplicate branch name "${definition.name}"`);
+      return;
+    }
+    names.add(definition.name);
+
+    if ('prerelease' in definition && definition.prerelease !== false) {
+      // prerelease: true uses the branch name as identifier
+      const identifier = definition.prerelease === true ? definition.name : definition.prerelease;
+      if (typeof identifier !== 'string' || identifier.trim() === '') {
+        result.errors.push(`${label} ("${definition.name}"): prerelease identifier is missing`);
+      } else if (!identifier.includes('${') && !/^[0-9A-Za-z-]+(\.[0-9A-Za-z-]+)*$/.test(identifier)) {
+        result.errors.push(`${label} ("${definition.name}"): "${identifier}" is not a valid prerelease identifier${definition.prerelease === true ? ', set "prerelease" to one explicitly' : ''}`);
+      }
+      return;
+    }
+
+    const range = definition.range || (/^\d+(\.\d+)?\.x$/.test(definition.name) ? definition.name : null);
+    if (range) {
+      const bounds = parseMaintenanceRange(range);
+      if (!bounds) {
+        result.errors.push(`${label} ("${definition.name}"): invalid maintenance range "${range}"`);
+      } else {
+        maintenance.push({ name: definition.name, range, ...bounds });
+      }
+      return;
+    }
+
+    if (definition.name === MAINTENANCE_BRANCH_PATTERN) {
+      return;
+    }
+
+    releaseCount++;
+  });
+
+  if (releaseCount === 0) {
+    result.errors.push('At least one release branch (not maintenance or prerelease) must be specified');
+  } else if (releaseCount > MAX_RELEASE_BRANCHES) {
+    result.errors.push(`Too many release branches: ${releaseCount} (semantic-release allows at most ${MAX_RELEASE_BRANCHES})`);
+  }
+
+  for (let i = 0; i < maintenance.length; i++) {
+    for (let j = i + 1; j < maintenance.length; j++) {
+      const a = maintenance[i];
+      const b = maintenance[j];
+      if (compareVersionParts(a.min, b.max) < 0 && compareVersionParts(b.min, a.max) < 0) {
+        result.errors.push(`Maintenance branches "${a.name}" (${a.range}) and "${b.name}" (${b.range}) have overlapping ranges`);
+      }
+    }
+  }
+}
+
+/**
+ * Parses a maintenance range ('1.x', '1.2.x', '>=1.0.0 <1.5.0') into [min, max) bounds.
+ *
+ * @param {string} range - Maintenance range
+ * @returns {Object|null} { min, max } as [major, minor, patch], or null if the range is not understood
+ */
+function parseMaintenanceRange(range) {
+  const xRange = /^(\d+)(?:\.(\d+))?\.x$/.exec(range.trim());
+  if (xRange) {
+    const major = Number(xRange[1]);
+    if (xRange[2] === undefined) {
+      return { min: [major, 0, 0], max: [major + 1, 0, 0] };
+    }
+    const minor = Number(xRange[2]);
+    return { min: [major, minor, 0], max: [major, minor + 1, 0] };
+  }
+
+  const bounded = /^>=\s*(\d+)\.(\d+)\.(\d+)\s+<\s*(\d+)\.(\d+)\.(\d+)$/.exec(range.trim());
+  if (bounded) {
+    const numbers = bounded.slice(1).map(Number);
+    return { min: numbers.slice(0, 3), max: numbers.slice(3) };
+  }
+
+  return null;
+}
+
+/**
+ * Converts semantic-release branch names to GitHub Actions branch filters. The maintenance
+ * pattern is an extglob, which GitHub filters do not support.
+ *
+ * @param {Array<string>} branches - Branch names or semantic-release patterns
+ * @returns {Array<string>} Branch filters for on.push.branches / on.pull_request.branches
+ */
+function toBranchFilters(branches) {
+  const filters = [];
+
+  branches.forEach(branch => {
+    const translated = branch === MAINTENANCE_BRANCH_PATTERN
+      ? ['[0-9]+.x', '[0-9]+.[0-9]+.x', '[0-9]+.x.x']
+      : [branch];
+    translated.forEach(filter => {
+      if (!filters.includes(filter)) filters.push(filter);
+    });
+  });
+
+  return filters;
+}
+
+function compareVersionParts(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
+}
+
+const LIFECYCLE_STEPS = [
+  'verifyConditions',
+  'analyzeCommits',
+  'verifyRelease',
+  'generateNotes',
+  'prepare',
+  'publish',
+  'addChannel',
+  'success',
+  'fail'
+];
+
+// Where a plugin goes when neither before nor after is given
+const DEFAULT_STEP_PLACEMENT = {
+  verifyConditions: { first: true },
+  analyzeCommits: { after: ['@semantic-release/commit-analyzer', 'workspace-commits.js'] },
+  verifyRelease: { after: ['@semantic-release/commit-analyzer', 'workspace-commits.js'] },
+  generateNotes: { after: ['@semantic-release/release-notes-generator', 'workspace-commits.js'] },
+  prepare: { before: ['@semantic-release/git'] },
+  publish: { last: true },
+  addChannel: { last: true },
+  success: { last: true },
+  fail: { last: true }
+};
+
+// Hard placements of inserted plugins, per plugin list; re-checked when a merged entry moves
+const placementConstraints = new WeakMap();
+
+/**
+ * Inserts plugins at their lifecycle position. semantic-release runs each step in plugin
+ * order, so a position in the plugins list is a position in every step the plugin implements.
+ * A plugin that is already in the list is merged into the existing entry instead, and moved
+ * where it satisfies the placements of every step it was added for.
+ *
+ * @param {Array} plugins - Plugin list, modified in place
+ * @param {Array<Object>} items - { step, plugin, before, after } items
+ */
+function insertPlugins(plugins, items) {
+  // Consecutive items placed after the same anchor keep their order
+  const lastInserted = new Map();
+
+  if (!placementConstraints.has(plugins)) {
+    placementConstraints.set(plugins, []);
+  }
+  const constraints = placementConstraints.get(plugins);
+
+  items.forEach(({ step, plugin, before, after }) => {
+    if (!LIFECYCLE_STEPS.includes(step)) {
+      throw new Error(`Unknown lifecycle step "${step}" (supported: ${LIFECYCLE_STEPS.join(', ')})`);
+    }
+    if (before && after) {
+      throw new Error(`Plugin "${getPluginName(plugin)}" cannot be placed both before and after another plugin`);
+    }
+
+    const placement = before ? { before: [before] } : after ? { after: [after] } : DEFAULT_STEP_PLACEMENT[step];
+    // first and last are only defaults; anchors must hold whatever else the plugin is added for
+    if (placement.before || placement.after) {
+      constraints.push({ name: getPluginName(plugin), ...placement });
+    }
+
+    const existingIndex = findPluginIndex(plugins, [getPluginName(plugin)]);
+    if (existingIndex !== -1) {
+      const existing = plugins[existingIndex];
+      const merged = mergePluginEntries(existing, plugin);
+      movePlugin(plugins, existingIndex, merged, constraints);
+      lastInserted.forEach((value, key) => {
+        if (value === existing) lastInserted.set(key, merged);
+      });
+      return;
+    }
+
+    let index;
+
+    if (placement.first || placement.last) {
+      const key = placement.first ? 'first' : 'last';
+      const previous = lastInserted.get(key);
+      index = placement.last ? plugins.length : previous ? plugins.indexOf(previous) + 1 : 0;
+      lastInserted.set(key, plugin);
+    } else {
+      const anchors = placement.before || placement.after;
+      const anchorIndex = findPluginIndex(plugins, anchors);
+
+      if (anchorIndex === -1) {
+        throw new Error(
+          `Cannot place "${getPluginName(plugin)}" ${placement.before ? 'before' : 'after'} "${anchors[0]}": plugin not in config`
+        );
+      }
+
+      if (placement.before) {
+        index = anchorIndex;
+      } else {
+        const key = `after:${anchors.join(',')}`;
+        const previous = lastInserted.get(key);
+        index = (previous ? plugins.indexOf(previous) : anchorIndex) + 1;
+        lastInserted.set(key, plugin);
+      }
+    }
+
+    plugins.splice(index, 0, plugin);
+  });
+}
+
+/**
+ * Replaces a plugin entry, moving it as little as possible to satisfy all of its placements.
+ *
+ * @param {Array} plugins - Plugin list, modified in place
+ * @param {number} index - Current index of the entry
+ * @param {Array|string} entry - Entry to put in its place
+ * @param {Array<Object>} constraints - { name, before, after } placements recorded by insertPlugins
+ */
+function movePlugin(plugins, index, entry, constraints) {
+  const name = getPluginName(entry);
+  let lowest = { index: 0 };
+  let highest = { index: plugins.length - 1 };
+
+  plugins.splice(index, 1);
+
+  constraints.filter(constraint => findPluginIndex([entry], [constraint.name]) === 0).forEach(constraint => {
+    const anchors = constraint.before || constraint.after;
+    const anchorIndex = findPluginIndex(plugins, anchors);
+
+    if (anchorIndex === -1) {
+      throw new Error(`Cannot place "${name}" ${constraint.before ? 'before' : 'after'} "${anchors[0]}": plugin not in config`);
+    }
+    if (constraint.before && anchorIndex < highest.index) {
+      highest = { index: anchorIndex, anchor: anchors[0] };
+    }
+    if (constraint.after && anchorIndex + 1 > lowest.index) {
+      lowest = { index: anchorIndex + 1, anchor: anchors[0] };
+    }
+  });
+
+  if (lowest.index > highest.index) {
+    throw new Error(`Plugin "${name}" cannot be placed both after "${lowest.anchor}" and before "${highest.anchor}"`);
+  }
+  plugins.splice(Math.min(Math.max(index, lowest.index), highest.index), 0, entry);
+
+  // Plugins placed relative to the moved one must still be in order
+  constraints.forEach(constraint => {
+    const anchors = constraint.before || constraint.after;
+    const pluginIndex = findPluginIndex(plugins, [constraint.name]);
+    const anchorIndex = findPluginIndex(plugins, anchors);
+    if (constraint.before ? pluginIndex > anchorIndex : pluginIndex < anchorIndex) {
+      throw new Error(
+        `Moving "${name}" would put "${constraint.name}" ${constraint.before ? 'after' : 'before'} "${anchors[0]}"`
+      );
+    }
+  });
+}
+
+/**
+ * Whether an extraPlugins item is a { plugin, before, after } placement rather than a plugin entry.
+ *
+ * @param {*} item - extraPlugins item
+ * @returns {boolean} True for placement objects
+ */
+function isPlacement(item) {
+  return Boolean(item) && typeof item === 'object' && !Array.isArray(item) && 'plugin' in item;
+}
+
+/**
+ * Finds the first plugin matching one of the given names. Names may omit the
+ * '@semantic-release/' scope, and local plugins match by file name.
+ *
+ * @param {Array} plugins - Plugin list
+ * @param {Array<string>} names - Plugin names to look for
+ * @returns {number} Index of the plugin, or -1
+ */
+function findPluginIndex(plugins, names) {
+  const matches = (pluginName, name) => pluginName === name ||
+    pluginName === `@semantic-release/${name}` ||
+    path.basename(pluginName) === name;
+
+  return plugins.findIndex(entry => names.some(name => matches(getPluginName(entry), name)));
+}
+
+function getPluginName(entry) {
+  return Array.isArray(entry) ? entry[0] : entry;
+}
+
+/**
+ * Merges two entries of the same plugin. Arrays are combined; other options must not conflict.
+ *
+ * @param {Array|string} existing - Entry already in the plugin list
+ * @param {Array|string} added - Entry being added
+ * @returns {Array|string} Merged entry
+ */
+function mergePluginEntries(existing, added) {
+  const name = getPluginName(existing);
+  const merged = { ...(Array.isArray(existing) ? existing[1] : {}) };
+  const addedOptions = Array.isArray(added) ? added[1] || {} : {};
+
+  Object.keys(addedOptions).forEach(key => {
+    const value = addedOptions[key];
+
+    if (!(key in merged) || JSON.stringify(merged[key]) === JSON.stringify(value)) {
+      merged[key] = value;
+    } else if (Array.isArray(merged[key]) && Array.isArray(value)) {
+      merged[key] = merged[key].concat(value.filter(item => !merged[key].includes(item)));
+    } else {
+      throw new Error(`Plugin "${name}" added twice with different "${key}" values; combine them into one entry`);
+    }
+  });
+
+  return withOptions(name, merged);
+}
+
+// Sections of the conventionalcommits preset, in the order they appear in release notes
+const DEFAULT_NOTES_SECTIONS = [
+  { type: 'feat', section: 'Features' },
+  { type: 'fix', section: 'Bug Fixes' },
+  { type: 'perf', section: 'Performance Improvements' },
+  { type: 'revert', section: 'Reverts' },
+  { type: 'docs', section: 'Documentation', hidden: true },
+  { type: 'style', section: 'Styles', hidden: true },
+  { type: 'chore', section: 'Miscellaneous Chores', hidden: true },
+  { type: 'refactor', section: 'Code Refactoring', hidden: true },
+  { type: 'test', section: 'Tests', hidden: true },
+  { type: 'build', section: 'Build System', hidden: true },
+  { type: 'ci', section: 'Continuous Integration', hidden: true }
+];
+
+/**
+ * Builds the shared options of commit-analyzer and release-notes-generator.
+ *
+ * releaseRules and notesSections accept the plugin's array form or a shorthand map:
+ *   releaseRules: { perf: 'patch', 'docs(readme)': false }
+ *   notesSections: { perf: 'Performance', chore: false }
+ * Setting notesSections switches to the conventionalcommits preset unless a preset is given.
+ *
+ * @param {Object} options - { preset, releaseRules, notesSections }
+ * @returns {Object} { analyzerOptions, notesOptions, preset, types }
+ */
+function buildCommitConventionOptions({ preset, releaseRules, notesSections } = {}) {
+  const shared = {};
+  const effectivePreset = preset || (notesSections ? 'conventionalcommits' : undefined);
+
+  if (effectivePreset) {
+    shared.preset = effectivePreset;
+  }
+
+  let types = null;
+  if (notesSections) {
+    if (effectivePreset !== 'conventionalcommits') {
+      throw new Error(`notesSections requires the "conventionalcommits" preset (got "${effectivePreset}")`);
+    }
+
+    const overrides = Array.isArray(notesSections)
+      ? notesSections
+      : Object.entries(notesSections).map(([type, section]) => (
+        section === false ? { type, hidden: true } : { type, section, hidden: false }
+      ));
+
+    types = DEFAULT_NOTES_SECTIONS.map(defaults => ({ ...defaults }));
+    overrides.forEach(override => {
+      const existing = types.find(type => type.type === override.type);
+      if (existing) {
+        Object.assign(existing, override);
+      } else {
+        types.push({ section: override.type, ...override });
+      }
+    });
+
+    shared.presetConfig = { types };
+  }
+
+  const analyzerOptions = { ...shared };
+  if (releaseRules) {
+    analyzerOptions.releaseRules = normalizeReleaseRules(releaseRules);
+  }
+
+  return {
+    analyzerOptions,
+    notesOptions: { ...shared },
+    preset: effectivePreset || 'angular',
+    types
+  };
+}
+
+/**
+ * Converts the releaseRules shorthand map to commit-analyzer's array form.
+ *
+ * @param {Array<Object>|Object} releaseRules - Rules array or { 'type(scope)': release } map
+ * @returns {Array<Object>} Release rules
+ */
+function normalizeReleaseRules(releaseRules) {
+  if (Array.isArray(releaseRules)) {
+    return releaseRules;
+  }
+
+  return Object.entries(releaseRules).map(([key, release]) => {
+    const match = /^([^(]+)(?:\((.+)\))?$/.exec(key.trim());
+    if (!match) {
+      throw new Error(`Invalid release rule "${key}", expected "type" or "type(scope)"`);
+    }
+
+    const rule = { type: match[1] };
+    if (match[2]) {
+      rule.scope = match[2];
+    }
+    rule.release = release;
+    return rule;
+  });
+}
+
+/**
+ * Returns a plugin entry, using the bare name when there are no options.
+ *
+ * @param {string} name - Plugin name
+ * @param {Object} pluginOptions - Plugin options
+ * @returns {Array|string} Plugin entry
+ */
+function withOptions(name, pluginOptions) {
+  return pluginOptions && Object.keys(pluginOptions).length > 0 ? [name, pluginOptions] : name;
+}
+
+/**
+ * Creates the update-version plugin entry for the versionFiles option.
+ *
+ * @param {Array<Object>|Object} versionFiles - File entries, or { files, datetimeFormat, timezone, buildNumber }
+ * @param {Function} inPackage - Maps a file path to its path from the repository root
+ * @returns {Array} update-version plugin entry
+ */
+function createVersionFilesPlugin(versionFiles, inPackage) {
+  const { files = [], datetimeFormat = 'iso', ...pluginOptions } = Array.isArray(versionFiles)
+    ? { files: versionFiles }
+    : versionFiles;
+
+  return createUpdateVersionPlugin(
+    files.map(file => ({ ...file, path: file.path && inPackage(file.path) })),
+    datetimeFormat,
+    pluginOptions
+  );
+}
+
+/**
+ * Builds one semantic-release configuration per npm workspace package.
+ *
+ * Packages are returned in release order: a workspace is always listed after the
+ * workspaces it depends on, so CI can release them one by one.
+ *
+ * @param {Object} [options={}] - Options passed to buildSemanticReleaseConfig for every package
+ * @param {string} [options.projectPath=process.cwd()] - Repository root containing the workspaces
+ *
+ * @returns {Array<Object>} List of { name, path, tagFormat, config } entries
+ *
+ * @example
+ * // Release every workspace in dependency order
+ * buildWorkspaceConfigs().forEach(({ name }) => {
+ *   execSync('npx semantic-release', { env: { ...process.env, RELEASE_WORKSPACE: name } });
+ * });
+ */
+function buildWorkspaceConfigs(options = {}) {
+  const opts = options || {};
+  const projectPath = opts.projectPath || process.cwd();
+  const workspaces = sortWorkspaces(detectWorkspaces(projectPath));
+
+  return workspaces.map(workspace => {
+    const config = buildSemanticReleaseConfig({
+      ...opts,
+      projectPath,
+      workspace: workspace.path
+    });
+
+    return {
+      name: workspace.name,
+      path: workspace.path,
+      tagFormat: config.tagFormat,
+      config
+    };
+  });
+}
+
+/**
+ * Lists the npm workspace packages declared in the root package.json.
+ *
+ * @param {string} projectPath - Repository root
+ * @returns {Array<Object>} List of { name, shortName, path, packageJson } entries
+ */
+function detectWorkspaces(projectPath) {
+  const fs = require('fs');
+
+  const packageJsonPath = path.join(projectPath, 'package.json');
+  if (!fs.existsSync(packageJsonPath)) {
+    throw new Error(`No package.json found in ${projectPath}`);
+  }
+
+  const rootPackage = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+  // Support both the npm/yarn array form and the { packages: [] } object form
+  const patterns = Array.isArray(rootPackage.workspaces)
+    ? rootPackage.workspaces
+    : (rootPackage.workspaces && rootPackage.workspaces.packages) || [];
+
+  const workspaces = [];
+
+  patterns.forEach(pattern => {
+    expandWorkspacePattern(projectPath, pattern).forEach(relativePath => {
+      const manifestPath = path.join(projectPath, relativePath, 'package.json');
+      if (!fs.existsSync(manifestPath) || workspaces.some(w => w.path === relativePath)) {
+        return;
+      }
+
+      const packageJson = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      const name = packageJson.name || path.posix.basename(relativePath);
+
+      workspaces.push({
+        name,
+        shortName: name.replace(/^@[^/]+\//, ''),
+        path: relativePath,
+        packageJson
+      });
+    });
+  });
+
+  return workspaces;
+}
+
+/**
+ * Expands a workspace pattern such as "packages/*" into matching directories.
+ * Only "*" segments are supported, which covers the npm workspaces syntax.
+ *
+ * @param {string} projectPath - Repository root
+ * @param {string} pattern - Workspace pattern
+ * @returns {Array<string>} Matching directories relative to projectPath (POSIX separators)
+ */
+function expandWorkspacePattern(projectPath, pattern) {
+  const fs = require('fs');
+
+  const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/');
+  let matches = [''];
+
+  segments.forEach(segment => {
+    const next = [];
+
+    matches.forEach(base => {
+      if (!segment.includes('*')) {
+        next.push(base ? `${base}/${segment}` : segment);
+        return;
+      }
+
+      const dir = path.join(projectPath, base);
+      if (!fs.existsSync(dir)) return;
+
+      const segmentRegex = new RegExp(`^${segment.split('*').map(escapeRegExp).join('[^/]*')}$`);
+      fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && entry.name !== 'node_modules' && segmentRegex.test(entry.name))
+        .forEach(entry => next.push(base ? `${base}/${entry.name}` : entry.name));
+    });
+
+    matches = next;
+  });
+
+  return matches.sort();
+}
+
+/**
+ * Finds a single workspace by package name or directory.
  *
- * @example
- * // Enable npm publishing
- * const config = buildSemanticReleaseConfig({ npmPublish: true });
+ * @param {string} workspace - Package name (e.g. '@scope/pkg-a') or directory (e.g. 'packages/pkg-a')
+ * @param {string} projectPath - Repository root
+ * @returns {Object} Workspace entry from detectWorkspaces
+ */
+function resolveWorkspace(workspace, projectPath) {
+  const workspaces = detectWorkspaces(projectPath);
+  const normalized = workspace.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+
+  const match = workspaces.find(w =>
+    w.name === workspace || w.shortName === workspace || w.path === normalized
+  );
+
+  if (!match) {
+    const available = workspaces.map(w => w.name).join(', ') || 'none';
+    throw new Error(`Workspace "${workspace}" not found in ${projectPath} (available: ${available})`);
+  }
+
+  return match;
+}
+
+/**
+ * Orders workspaces so that every package comes after the workspaces it depends on.
  *
- * @example
- * // Custom branches and additional files to commit
- * const config = buildSemanticReleaseConfig({
- *   branches: ['main', 'develop'],
- *   gitAssets: ['CHANGELOG.md', 'package.json', 'version.txt'],
- *   extraPrepare: [['@semantic-release/exec', { prepareCmd: 'npm run build' }]]
- * });
+ * @param {Array<Object>} workspaces - Entries from detectWorkspaces
+ * @returns {Array<Object>} Sorted workspaces
  */
-function buildSemanticReleaseConfig(options = {}) {
-  // Handle null/undefined options
-  const opts = options || {};
+function sortWorkspaces(workspaces) {
+  const byName = new Map(workspaces.map(w => [w.name, w]));
+  const sorted = [];
+  const state = new Map();
+
+  const visit = (workspace, trail) => {
+    if (state.get(workspace.name) === 'done') return;
+    if (state.get(workspace.name) === 'visiting') {
+      throw new Error(`Circular workspace dependency: ${[...trail, workspace.name].join(' -> ')}`);
+    }
 
-  const {
-    branches = [
-      'main',
-      { name: 'beta', prerelease: 'beta' }
-    ],
-    npmPublish = false,
-    gitAssets = ['CHANGELOG.md', 'package.json', 'package-lock.json'],
-    gitMessage = 'chore(release): ${nextRelease.version} [skip ci]\n\n${nextRelease.notes}',
-    extraPrepare = []
-  } = opts;
+    state.set(workspace.name, 'visiting');
 
-  const plugins = [
-    '@semantic-release/commit-analyzer',
-    '@semantic-release/release-notes-generator',
-    ['@semantic-release/npm', { npmPublish }],
-    '@semantic-release/changelog',
-    ...extraPrepare,
-    ['@semantic-release/git', { assets: gitAssets, message: gitMessage }],
-    '@semantic-release/github'
-  ];
+    const pkg = workspace.packageJson;
+    const dependencyNames = [
+      pkg.dependencies,
+      pkg.devDependencies,
+      pkg.peerDependencies,
+      pkg.optionalDependencies
+    ].reduce((names, deps) => names.concat(Object.keys(deps || {})), []);
 
-  return {
-    branches,
-    plugins
+    dependencyNames
+      .filter(name => byName.has(name) && name !== workspace.name)
+      .forEach(name => visit(byName.get(name), [...trail, workspace.name]));
+
+    state.set(workspace.name, 'done');
+    sorted.push(workspace);
   };
+
+  workspaces.forEach(workspace => visit(workspace, []));
+
+  return sorted;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
 /**
@@ -72,23 +1128,42 @@ function buildSemanticReleaseConfig(options = {}) {
  * This function generates a semantic-release plugin that can update version numbers
  * and timestamps in any text-based files during the release process.
  *
- * Supports two formats:
+ * Supports three formats:
  * 1. Simple format: { path, pattern, replacement } - for single pattern per file
  * 2. Advanced format: { path, patterns: [{ regex, replacement }] } - for multiple patterns per file
+ * 3. Structured format: { path, type, key, value } - sets one key in a JSON, TOML or YAML file
  *
  * @param {Array<Object>} files - Array of file configurations to update
- * @param {string} files[].path - Path to the file to update
+ * @param {string} files[].path - Path to the file to update, or a glob (e.g. 'src/**\/version.php')
  *
  * Simple format (single pattern per file):
- * @param {string|RegExp} [files[].pattern] - Regex pattern to find the version/date to replace
+ * @param {string|RegExp|Object} [files[].pattern] - Regex pattern to find the version/date to replace ({ source, flags } in JSON configs)
  * @param {string} [files[].replacement] - Replacement string (supports {version}, {datetime}, ${version}, ${date} placeholders)
  *
  * Advanced format (multiple patterns per file):
  * @param {Array<Object>} [files[].patterns] - Array of pattern objects to apply
- * @param {string|RegExp} files[].patterns[].regex - Regex pattern to find content to replace
+ * @param {string|RegExp|Object} files[].patterns[].regex - Regex pattern to find content to replace ({ source, flags } in JSON configs)
  * @param {string} files[].patterns[].replacement - Replacement string (supports {version}, {datetime}, ${version}, ${date} placeholders)
+ * @param {Object} [files[].patterns[].expect] - Expected match count: { exact } or { min, max } (default: at least one)
+ * @param {boolean} [files[].patterns[].optional=false] - Allow the pattern to match nothing
  *
- * @param {string} [datetimeFormat='iso'] - Format for date replacement ('iso', 'unix', or custom format)
+ * Common options:
+ * @param {boolean} [files[].optional=false] - Allow the file (or glob) to be missing and its patterns to match nothing
+ * @param {Object} [files[].expect] - Expected match count for the simple format
+ *
+ * Structured format (one key in a JSON/TOML/YAML file, formatting preserved):
+ * @param {string} [files[].type] - 'json', 'toml' or 'yaml' (inferred from the file extension when omitted)
+ * @param {string} [files[].key] - Dotted key path to set (e.g. 'version', 'project.version')
+ * @param {string} [files[].value='{version}'] - Value template (supports the same placeholders)
+ *
+ * Placeholders available in replacements and values:
+ * {version}, {major}, {minor}, {patch}, {prerelease}, {channel}, {gitTag}, {gitHead},
+ * {previousVersion}, {buildNumber}, {datetime}, {datetime:FORMAT}, and the legacy ${version} / ${date}.
+ *
+ * @param {string} [datetimeFormat='iso'] - Format for {datetime}: 'iso', 'unix' or a token format such as 'YYYY-MM-DD HH:mm:ss'
+ * @param {Object} [options={}] - Additional plugin options
+ * @param {string} [options.timezone='UTC'] - IANA timezone used to format datetimes (e.g. 'Europe/Madrid')
+ * @param {string|number} [options.buildNumber] - Value for {buildNumber} (defaults to major * 1000000 + minor * 1000 + patch)
  *
  * @returns {Array} Plugin configuration array for semantic-release
  *
@@ -134,14 +1209,48 @@ function buildSemanticReleaseConfig(options = {}) {
  *     ]
  *   }
  * ]);
+ *
+ * @example
+ * // Structured format - composer.json, pyproject.toml and a Helm chart
+ * const versionPlugin = createUpdateVersionPlugin([
+ *   { path: 'composer.json', type: 'json', key: 'version' },
+ *   { path: 'pyproject.toml', type: 'toml', key: 'project.version' },
+ *   { path: 'chart/Chart.yaml', type: 'yaml', key: 'appVersion' }
+ * ]);
+ *
+ * @example
+ * // Build date in a PHP constant and an Android versionCode
+ * const versionPlugin = createUpdateVersionPlugin([
+ *   {
+ *     path: 'src/Version.php',
+ *     pattern: /const BUILD = '.*?';/,
+ *     replacement: "const BUILD = '{version}+{datetime:YYYYMMDD.HHmm}';"
+ *   },
+ *   {
+ *     path: 'app/build.gradle',
+ *     pattern: /versionCode \d+/,
+ *     replacement: 'versionCode {buildNumber}'
+ *   }
+ * ], 'iso', { timezone: 'Europe/Madrid' });
  */
-function createUpdateVersionPlugin(files, datetimeFormat = 'iso') {
+function createUpdateVersionPlugin(files, datetimeFormat = 'iso', options = {}) {
+  const { timezone, buildNumber } = options || {};
+  const pluginConfig = {
+    files,
+    datetimeFormat
+  };
+
+  if (timezone) {
+    pluginConfig.timezone = timezone;
+  }
+
+  if (buildNumber !== undefined) {
+    pluginConfig.buildNumber = buildNumber;
+  }
+
   return [
     path.join(__dirname, 'update-version.js'),
-    {
-      files,
-      datetimeFormat
-    }
+    pluginConfig
   ];
 }
 
@@ -156,6 +1265,9 @@ function createUpdateVersionPlugin(files, datetimeFormat = 'iso') {
  * @param {boolean} [options.strict=false] - Whether to use strict validation (fails on warnings)
  * @param {boolean} [options.checkPlugins=true] - Whether to validate plugin configurations
  * @param {boolean} [options.verbose=false] - Whether to include detailed explanations
+ * @param {string} [options.cwd=process.cwd()] - Directory update-version file paths are relative to
+ * @param {Object} [options.nextRelease] - Release used for the update-version dry-run (e.g. from detectNextRelease); defaults to a 1.2.3 preview
+ * @param {Object} [options.lastRelease] - Previous release used for {previousVersion}
  *
  * @returns {Object} Validation result object
  * @returns {boolean} returns.isValid - Whether the configuration is valid
@@ -181,7 +1293,10 @@ function validateConfig(config, options = {}) {
   const {
     strict = false,
     checkPlugins = true,
-    verbose = false
+    verbose = false,
+    cwd = process.cwd(),
+    nextRelease,
+    lastRelease
   } = opts;
 
   const result = {
@@ -219,6 +1334,12 @@ function validateConfig(config, options = {}) {
   } else if (config.branches.length === 0) {
     result.errors.push('At least one branch must be specified');
     result.isValid = false;
+  } else {
+    const errorCount = result.errors.length;
+    validateBranches(config.branches, result);
+    if (result.errors.length > errorCount) {
+      result.isValid = false;
+    }
   }
 
   // Validate plugins
@@ -242,8 +1363,13 @@ function validateConfig(config, options = {}) {
       '@semantic-release/release-notes-generator'
     ];
 
+    // The workspace wrapper runs both plugins on the commits of a single package
+    const hasWorkspaceCommits = pluginNames.some(name =>
+      typeof name === 'string' && name.includes('workspace-commits.js')
+    );
+
     requiredPlugins.forEach(required => {
-      if (!pluginNames.includes(required)) {
+      if (!hasWorkspaceCommits && !pluginNames.includes(required)) {
         result.warnings.push(`Missing recommended plugin: ${required}`);
       }
     });
@@ -276,9 +1402,12 @@ function validateConfig(config, options = {}) {
           return;
         }
 
+        const dryRunFiles = [];
+
         files.forEach((fileConfig, fileIndex) => {
           const fileNum = fileIndex + 1;
           const pluginNum = index + 1;
+          const errorCountBefore = result.errors.length;
 
           // Check required path
           if (!fileConfig.path) {
@@ -287,7 +1416,7 @@ function validateConfig(config, options = {}) {
           }
 
           // Check for typos in property names
-          const validProps = ['path', 'pattern', 'replacement', 'patterns'];
+          const validProps = ['path', 'pattern', 'replacement', 'patterns', 'type', 'key', 'value', 'expect', 'optional'];
           const actualProps = Object.keys(fileConfig);
 
           actualProps.forEach(prop => {
@@ -307,12 +1436,25 @@ function validateConfig(config, options = {}) {
           // Validate format requirements
           const hasPatterns = fileConfig.patterns && Array.isArray(fileConfig.patterns);
           const hasSimpleFormat = fileConfig.pattern && fileConfig.replacement;
+          const hasStructuredFormat = Boolean(fileConfig.key);
 
-          if (!hasPatterns && !hasSimpleFormat) {
-            result.errors.push(`update-version plugin #${pluginNum}, file #${fileNum}: must have either "patterns" array or both "pattern" and "replacement" properties`);
+          if (!hasPatterns && !hasSimpleFormat && !hasStructuredFormat) {
+            result.errors.push(`update-version plugin #${pluginNum}, file #${fileNum}: must have either "patterns" array, both "pattern" and "replacement" properties, or a "key"`);
             result.isValid = false;
           }
 
+          // Validate structured format type
+          if (hasStructuredFormat) {
+            const type = resolveAdapterType(fileConfig);
+            if (!type) {
+              result.errors.push(`update-version plugin #${pluginNum}, file #${fileNum}: cannot infer file type from "${fileConfig.path}", set "type" to one of: ${supportedAdapterTypes.join(', ')}`);
+              result.isValid = false;
+            } else if (!supportedAdapterTypes.includes(type)) {
+              result.errors.push(`update-version plugin #${pluginNum}, file #${fileNum}: unsupported type "${type}" (supported: ${supportedAdapterTypes.join(', ')})`);
+              result.isValid = false;
+            }
+          }
+
           // Validate patterns array if present
           if (hasPatterns) {
             fileConfig.patterns.forEach((pattern, patternIndex) => {
@@ -328,180 +1470,650 @@ function validateConfig(config, options = {}) {
             });
           }
 
-          // Perform dry-run validation of the actual file processing
-          if (fileConfig.path && (hasPatterns || hasSimpleFormat)) {
-            try {
-              const dryRunResult = validateUpdateVersionDryRun(fileConfig, pluginNum, fileNum);
+          // Only dry-run entries without structural errors, so problems are not reported twice
+          if (result.errors.length === errorCountBefore) {
+            dryRunFiles.push(fileIndex);
+          }
+        });
+
+        // Perform dry-run validation with the same engine the plugin runs at release time
+        if (dryRunFiles.length > 0) {
+          const dryRunResult = runUpdateVersionDryRun(pluginConfig, dryRunFiles, index + 1, {
+            cwd,
+            nextRelease,
+            lastRelease
+          });
 
-              // Always add errors and warnings from dry-run
-              result.errors.push(...dryRunResult.errors);
-              result.warnings.push(...dryRunResult.warnings);
+          result.errors.push(...dryRunResult.errors);
+          result.warnings.push(...dryRunResult.warnings);
+          result.suggestions.push(...dryRunResult.suggestions);
 
-              if (!dryRunResult.success) {
-                result.isValid = false;
-              } else {
-                result.suggestions.push(`update-version plugin #${pluginNum}, file #${fileNum}: dry-run successful - ${dryRunResult.replacements} pattern(s) would match`);
-              }
-            } catch (error) {
-              result.errors.push(`update-version plugin #${pluginNum}, file #${fileNum}: dry-run failed - ${error.message}`);
-              result.isValid = false;
-            }
+          if (dryRunResult.errors.length > 0) {
+            result.isValid = false;
+          }
+        }
+      }
+    });
+
+    // Files bumped by update-version are only committed if @semantic-release/git lists them
+    const gitPlugin = config.plugins.find(p =>
+      (Array.isArray(p) && p[0] === '@semantic-release/git') || p === '@semantic-release/git'
+    );
+
+    if (gitPlugin) {
+      const gitAssets = getGitAssets(gitPlugin);
+
+      updateVersionPlugins.forEach((plugin, index) => {
+        const files = plugin[1] && Array.isArray(plugin[1].files) ? plugin[1].files : [];
+
+        files.forEach((fileConfig, fileIndex) => {
+          if (fileConfig.path && !isCoveredByGitAssets(fileConfig.path, gitAssets, cwd)) {
+            result.warnings.push(`update-version plugin #${index + 1}, file #${fileIndex + 1}: "${fileConfig.path}" is updated but missing from @semantic-release/git assets, so the change will not be committed`);
           }
         });
+      });
+    }
+  }
+
+  // Generate summary
+  result.summary = {
+    hasValidStructure: result.errors.length === 0,
+    branchCount: config.branches && Array.isArray(config.branches) ? config.branches.length : 0,
+    pluginCount: config.plugins && Array.isArray(config.plugins) ? config.plugins.length : 0,
+    hasNpmPlugin: config.plugins && Array.isArray(config.plugins) ? config.plugins.some(p =>
+      (Array.isArray(p) && p[0] === '@semantic-release/npm') || p === '@semantic-release/npm'
+    ) : false,
+    hasGitPlugin: config.plugins && Array.isArray(config.plugins) ? config.plugins.some(p =>
+      (Array.isArray(p) && p[0] === '@semantic-release/git') || p === '@semantic-release/git'
+    ) : false,
+    hasGitHubPlugin: config.plugins && Array.isArray(config.plugins) ? config.plugins.some(p =>
+      (Array.isArray(p) && p[0] === '@semantic-release/github') || p === '@semantic-release/github'
+    ) : false
+  };
+
+  // Add verbose explanations if requested
+  if (verbose) {
+    if (result.summary.hasValidStructure) {
+      result.suggestions.push('Configuration structure is valid');
+    }
+    if (result.summary.hasNpmPlugin) {
+      result.suggestions.push('NPM plugin detected - good for publishing packages');
+    }
+    if (result.summary.hasGitPlugin) {
+      result.suggestions.push('Git plugin detected - will commit release changes');
+    }
+    if (result.summary.hasGitHubPlugin) {
+      result.suggestions.push('GitHub plugin detected - will create GitHub releases');
+    }
+  }
+
+  // Apply strict mode
+  if (strict && result.warnings.length > 0) {
+    result.isValid = false;
+  }
+
+  return result;
+}
+
+/**
+ * Lists the asset patterns of a @semantic-release/git plugin entry, including its defaults.
+ *
+ * @param {Array|string} gitPlugin - Plugin entry
+ * @returns {Array<string>} Asset glob patterns
+ */
+function getGitAssets(gitPlugin) {
+  const gitConfig = Array.isArray(gitPlugin) ? gitPlugin[1] || {} : {};
+
+  if (gitConfig.assets === false) {
+    return [];
+  }
+
+  const assets = gitConfig.assets === undefined
+    ? ['CHANGELOG.md', 'package.json', 'package-lock.json', 'npm-shrinkwrap.json']
+    : [].concat(gitConfig.assets);
+
+  return assets
+    .map(asset => (asset && typeof asset === 'object' ? asset.path : asset))
+    .filter(asset => typeof asset === 'string');
+}
+
+/**
+ * Whether every file targeted by an update-version path is committed by the git assets.
+ *
+ * @param {string} filePath - update-version path (literal or glob)
+ * @param {Array<string>} gitAssets - Asset patterns from getGitAssets
+ * @param {string} cwd - Directory paths are relative to
+ * @returns {boolean} True if all targeted files are covered
+ */
+function isCoveredByGitAssets(filePath, gitAssets, cwd) {
+  const normalize = value => value.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+  const target = normalize(filePath);
+
+  if (gitAssets.some(asset => normalize(asset) === target)) {
+    return true;
+  }
+
+  const include = gitAssets.filter(asset => !asset.startsWith('!')).map(normalize);
+  const exclude = gitAssets.filter(asset => asset.startsWith('!')).map(asset => normalize(asset.slice(1)));
+
+  const matches = (patterns, file) => patterns.some(pattern =>
+    pattern === file || file.startsWith(`${pattern}/`) || globToRegExp(pattern).test(file)
+  );
+
+  // For globs, check the files they currently match
+  const files = isGlob(target, cwd) ? expandGlob(target, cwd) : [target];
+  if (files.length === 0) {
+    return false;
+  }
+
+  return files.every(file => matches(include, file) && !matches(exclude, file));
+}
+
+/**
+ * Performs a dry-run of an update-version plugin configuration.
+ *
+ * Uses the same engine as the plugin's prepare step, so every failure reported here
+ * would also fail the release, and vice versa.
+ *
+ * @param {Object} pluginConfig - update-version plugin configuration
+ * @param {Array<number>} fileIndexes - Indexes of the file entries to dry-run
+ * @param {number} pluginNum - Plugin number for error reporting
+ * @param {Object} context - { cwd, nextRelease, lastRelease }
+ * @returns {Object} Dry-run result with errors, warnings and suggestions
+ */
+function runUpdateVersionDryRun(pluginConfig, fileIndexes, pluginNum, context) {
+  const result = {
+    errors: [],
+    warnings: [],
+    suggestions: []
+  };
+
+  let stage;
+  try {
+    stage = stageUpdates({
+      ...pluginConfig,
+      files: fileIndexes.map(fileIndex => pluginConfig.files[fileIndex])
+    }, context);
+  } catch (error) {
+    result.errors.push(`update-version plugin #${pluginNum}: dry-run failed - ${error.message}`);
+    return result;
+  }
+
+  const prefix = fileResult => `update-version plugin #${pluginNum}, file #${fileIndexes[fileResult.fileIndex] + 1}`;
+
+  stage.results.forEach(fileResult => {
+    fileResult.failures.forEach(failure => result.errors.push(`${prefix(fileResult)}: ${failure}`));
+    fileResult.warnings.forEach(warning => result.warnings.push(`${prefix(fileResult)}: ${warning}`));
+
+    if (fileResult.failures.length === 0) {
+      result.suggestions.push(`${prefix(fileResult)}: dry-run successful - ${fileResult.replacements} match(es) would be replaced in ${fileResult.path} (version ${stage.values.version})`);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Works out the real next release from git history, the way semantic-release would.
+ *
+ * Finds the latest tag matching the config's tagFormat, runs commit-analyzer (with the
+ * options from the config) on the commits since that tag and bumps the version.
+ * Useful to preview update-version changes with the real next version.
+ *
+ * @param {Object} config - semantic-release configuration object
+ * @param {Object} [options={}] - Detection options
+ * @param {string} [options.cwd=process.cwd()] - Git repository directory
+ * @returns {Promise<Object>} { nextRelease, lastRelease, releaseType } - nextRelease is null when no release would be made
+ *
+ * @example
+ * const release = await detectNextRelease(config);
+ * const result = validateConfig(config, release.nextRelease ? release : {});
+ */
+async function detectNextRelease(config, options = {}) {
+  const { execFileSync } = require('child_process');
+  const opts = options || {};
+  const cwd = opts.cwd || process.cwd();
+  const tagFormat = (config && config.tagFormat) || 'v${version}';
+  const plugins = (config && Array.isArray(config.plugins)) ? config.plugins : [];
+
+  const git = args => execFileSync('git', args, { cwd, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+
+  // Latest stable version among the tags reachable from HEAD
+  const lastTag = listReleaseTags(tagFormat, git).pop();
+
+  const lastRelease = lastTag
+    ? { version: lastTag.parts.join('.'), gitTag: lastTag.tag, gitHead: git(['rev-list', '-n', '1', lastTag.tag]).trim() }
+    : {};
+
+  // Analyzer options come from the config, workspace configs also restrict commits to their directory
+  const { workspacePath, ...analyzerOptions } = getPluginOptions(plugins, '@semantic-release/commit-analyzer');
+  const commits = readCommits(git, lastTag ? `${lastTag.tag}..HEAD` : 'HEAD', workspacePath);
+
+  // commit-analyzer is an ES module
+  const { analyzeCommits } = await import('@semantic-release/commit-analyzer');
+  const silentLogger = { log: () => {}, error: () => {}, warn: () => {}, success: () => {} };
+  const releaseType = await analyzeCommits(analyzerOptions, { cwd, commits, logger: silentLogger, options: {} });
+
+  if (!releaseType) {
+    return { nextRelease: null, lastRelease, releaseType: null };
+  }
+
+  let [major, minor, patch] = lastTag ? lastTag.parts : [0, 0, 0];
+  if (!lastTag) {
+    [major, minor, patch] = [1, 0, 0];
+  } else if (releaseType === 'major') {
+    [major, minor, patch] = [major + 1, 0, 0];
+  } else if (releaseType === 'minor') {
+    [minor, patch] = [minor + 1, 0];
+  } else {
+    patch += 1;
+  }
+
+  const version = `${major}.${minor}.${patch}`;
+
+  return {
+    nextRelease: {
+      version,
+      gitTag: tagFormat.replace('${version}', version),
+      gitHead: git(['rev-parse', 'HEAD']).trim()
+    },
+    lastRelease,
+    releaseType
+  };
+}
+
+// Credentials semantic-release would use to authenticate git; a preview never pushes
+const GIT_TOKEN_VARIABLES = [
+  'GIT_CREDENTIALS', 'GH_TOKEN', 'GITHUB_TOKEN', 'GL_TOKEN', 'GITLAB_TOKEN',
+  'BB_TOKEN', 'BITBUCKET_TOKEN', 'BB_TOKEN_BASIC_AUTH', 'BITBUCKET_TOKEN_BASIC_AUTH'
+];
+
+/**
+ * Previews the release merging HEAD into a branch would make, by running semantic-release
+ * in dry-run mode as if HEAD were already the tip of that branch.
+ *
+ * Made for the checkout of a pull request (the merge commit), without push access: git calls
+ * to the repository URL are redirected to the local clone, publishing plugins are left out and
+ * missing local release branches are created from "origin". Release notes still link to the
+ * real repository.
+ *
+ * @param {Object} config - semantic-release configuration object
+ * @param {Object} [options={}] - Preview options
+ * @param {string} [options.cwd=process.cwd()] - Git repository directory
+ * @param {string} [options.branch] - Target branch (defaults to GITHUB_BASE_REF)
+ * @param {string|null} [options.expect] - Expected release type: 'major', 'minor', 'patch' or 'none'
+ * @param {string} [options.repositoryUrl] - Repository URL used for links (defaults to the "origin" remote)
+ * @param {Object} [options.stdout] - Stream for the semantic-release logs (defaults to process.stdout)
+ * @param {Object} [options.stderr] - Stream for the semantic-release errors (defaults to process.stderr)
+ * @returns {Promise<Object>} { branch, nextRelease, lastRelease, releaseType, expected, matches, markdown } -
+ *   nextRelease is null and releaseType 'none' when no release would be made; matches is null without expect
+ *
+ * @example
+ * const preview = await previewRelease(require('./release.config.js'), { branch: 'main', expect: 'minor' });
+ * if (preview.matches === false) process.exitCode = 1;
+ */
+async function previewRelease(config, options = {}) {
+  const { execFileSync } = require('child_process');
+  const opts = options || {};
+  const cwd = opts.cwd || process.cwd();
+  const branch = opts.branch || process.env.GITHUB_BASE_REF;
+  const expected = opts.expect || null;
+
+  const git = args => execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+  const hasRef = ref => {
+    try {
+      git(['rev-parse', '--verify', '--quiet', ref]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  if (!branch) {
+    throw new Error('No target branch: pass the branch option or run on a pull_request event (GITHUB_BASE_REF)');
+  }
+  if (expected && !RELEASE_TYPES.includes(expected)) {
+    throw new Error(`Invalid expected release type "${expected}" (expected ${RELEASE_TYPES.join(', ')})`);
+  }
+
+  let repositoryUrl = opts.repositoryUrl || (config && config.repositoryUrl);
+  if (!repositoryUrl) {
+    try {
+      repositoryUrl = git(['remote', 'get-url', 'origin']).trim();
+    } catch (error) {
+      throw new Error('Cannot determine the repository URL: add an "origin" remote or pass repositoryUrl');
+    }
+  }
+  // semantic-release drops the git+ prefix itself, the redirect must match the URL it uses
+  repositoryUrl = repositoryUrl.replace(/^git\+(https?:)/, '$1');
+
+  // Pull request checkouts have no local branches, semantic-release reads them from the "remote"
+  const literalBranches = ((config && config.branches) || [])
+    .map(entry => (typeof entry === 'string' ? entry : entry && entry.name))
+    .filter(name => typeof name === 'string' && !isGlob(name));
+  [branch, ...literalBranches].forEach(name => {
+    if (hasRef(`refs/heads/${name}`)) return;
+    if (hasRef(`refs/remotes/origin/${name}`)) {
+      git(['branch', name, `refs/remotes/origin/${name}`]);
+    } else if (name === branch) {
+      throw new Error(`Branch "${branch}" was not found locally or on origin`);
+    }
+  });
+
+  // Otherwise semantic-release sees HEAD as behind the branch and skips the release
+  try {
+    git(['merge-base', '--is-ancestor', `refs/heads/${branch}`, 'HEAD']);
+  } catch (error) {
+    throw new Error(`HEAD does not contain the latest commit of "${branch}"; merge or rebase it first`);
+  }
+
+  const env = { ...process.env, GITHUB_ACTIONS: 'true', GITHUB_EVENT_NAME: 'push', GITHUB_REF: `refs/heads/${branch}` };
+  GIT_TOKEN_VARIABLES.forEach(name => delete env[name]);
+
+  // Some semantic-release git calls ignore the env option, so the redirect goes in process.env
+  const configCount = Number(process.env.GIT_CONFIG_COUNT) || 0;
+  const redirect = {
+    GIT_CONFIG_COUNT: String(configCount + 1),
+    [`GIT_CONFIG_KEY_${configCount}`]: `url.${git(['rev-parse', '--show-toplevel']).trim()}.insteadOf`,
+    [`GIT_CONFIG_VALUE_${configCount}`]: repositoryUrl
+  };
+  const saved = Object.keys(redirect).map(name => [name, process.env[name]]);
+  Object.assign(process.env, redirect);
+  Object.assign(env, redirect);
+
+  let result;
+  try {
+    // semantic-release is an ES module
+    const { default: semanticRelease } = await import('semantic-release');
+    result = await semanticRelease({
+      ...config,
+      plugins: ((config && config.plugins) || []).filter(entry => findPluginIndex([entry], PUBLISHING_PLUGINS) === -1),
+      repositoryUrl,
+      dryRun: true,
+      ci: true
+    }, { cwd, env, stdout: opts.stdout, stderr: opts.stderr });
+  } finally {
+    saved.forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
       }
     });
   }
 
-  // Generate summary
-  result.summary = {
-    hasValidStructure: result.errors.length === 0,
-    branchCount: config.branches && Array.isArray(config.branches) ? config.branches.length : 0,
-    pluginCount: config.plugins && Array.isArray(config.plugins) ? config.plugins.length : 0,
-    hasNpmPlugin: config.plugins && Array.isArray(config.plugins) ? config.plugins.some(p =>
-      (Array.isArray(p) && p[0] === '@semantic-release/npm') || p === '@semantic-release/npm'
-    ) : false,
-    hasGitPlugin: config.plugins && Array.isArray(config.plugins) ? config.plugins.some(p =>
-      (Array.isArray(p) && p[0] === '@semantic-release/git') || p === '@semantic-release/git'
-    ) : false,
-    hasGitHubPlugin: config.plugins && Array.isArray(config.plugins) ? config.plugins.some(p =>
-      (Array.isArray(p) && p[0] === '@semantic-release/github') || p === '@semantic-release/github'
-    ) : false
+  const nextRelease = result ? result.nextRelease : null;
+  const releaseType = nextRelease ? nextRelease.type : 'none';
+  const preview = {
+    branch,
+    nextRelease,
+    lastRelease: result ? result.lastRelease : null,
+    releaseType,
+    expected,
+    matches: expected ? expected === releaseType : null
   };
 
-  // Add verbose explanations if requested
-  if (verbose) {
-    if (result.summary.hasValidStructure) {
-      result.suggestions.push('Configuration structure is valid');
-    }
-    if (result.summary.hasNpmPlugin) {
-      result.suggestions.push('NPM plugin detected - good for publishing packages');
-    }
-    if (result.summary.hasGitPlugin) {
-      result.suggestions.push('Git plugin detected - will commit release changes');
-    }
-    if (result.summary.hasGitHubPlugin) {
-      result.suggestions.push('GitHub plugin detected - will create GitHub releases');
+  return { ...preview, markdown: formatReleasePreview(preview) };
+}
+
+/**
+ * Rebuilds the changelog from the existing release tags and their conventional commits,
+ * using the release-notes-generator settings of the config.
+ *
+ * @param {Object} config - semantic-release configuration (e.g. from buildSemanticReleaseConfig)
+ * @param {Object} [options={}] - Backfill options
+ * @param {string} [options.cwd=process.cwd()] - Repository directory
+ * @param {string} [options.repositoryUrl] - Repository URL used for links (defaults to the "origin" remote)
+ * @param {boolean} [options.write=true] - Whether to write the changelog file
+ * @returns {Promise<Object>} { changelogFile, content, releases } where releases lists the tags included
+ *
+ * @example
+ * const { releases } = await backfillChangelog(require('./release.config.js'));
+ * console.log(`Wrote ${releases.length} releases`);
+ */
+async function backfillChangelog(config, options = {}) {
+  const fs = require('fs');
+  const { execFileSync } = require('child_process');
+  const opts = options || {};
+  const cwd = opts.cwd || process.cwd();
+  const write = opts.write !== false;
+  const plugins = (config && Array.isArray(config.plugins)) ? config.plugins : [];
+
+  const git = args => execFileSync('git', args, { cwd, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+
+  if (findPluginIndex(plugins, ['@semantic-release/changelog']) === -1) {
+    throw new Error('The config has no @semantic-release/changelog plugin');
+  }
+
+  const {
+    changelogFile = 'CHANGELOG.md',
+    changelogTitle
+  } = getPluginOptions(plugins, '@semantic-release/changelog');
+  const { workspacePath, releaseRules, ...notesOptions } = getPluginOptions(plugins, '@semantic-release/release-notes-generator');
+
+  let repositoryUrl = opts.repositoryUrl || (config && config.repositoryUrl);
+  if (!repositoryUrl) {
+    try {
+      repositoryUrl = git(['remote', 'get-url', 'origin']).trim();
+    } catch (error) {
+      throw new Error('Cannot determine the repository URL: add an "origin" remote or pass repositoryUrl');
     }
   }
 
-  // Apply strict mode
-  if (strict && result.warnings.length > 0) {
-    result.isValid = false;
+  const tags = listReleaseTags((config && config.tagFormat) || 'v${version}', git);
+  const silentLogger = { log: () => {}, error: () => {}, warn: () => {}, success: () => {} };
+
+  // release-notes-generator is an ES module
+  const { generateNotes } = await import('@semantic-release/release-notes-generator');
+  const sections = [];
+
+  for (let i = 0; i < tags.length; i++) {
+    const current = tags[i];
+    const previous = tags[i - 1];
+    const commits = readCommits(git, previous ? `${previous.tag}..${current.tag}` : current.tag, workspacePath);
+    const tagDate = git(['log', '-1', '--format=%cI', current.tag]).trim().slice(0, 10);
+
+    const notes = await generateNotes({
+      ...notesOptions,
+      // Release headings show the tag date instead of today
+      writerOpts: { ...notesOptions.writerOpts, formatDate: () => tagDate }
+    }, {
+      cwd,
+      commits,
+      lastRelease: previous ? { version: previous.parts.join('.'), gitTag: previous.tag } : {},
+      nextRelease: { version: current.parts.join('.'), gitTag: current.tag },
+      options: { repositoryUrl },
+      logger: silentLogger
+    });
+
+    sections.unshift(notes.trim());
   }
 
-  return result;
+  // Same layout as @semantic-release/changelog: title, then newest release first
+  const content = `${changelogTitle ? `${changelogTitle}\n\n` : ''}${sections.join('\n\n')}\n`;
+
+  if (write) {
+    fs.writeFileSync(path.resolve(cwd, changelogFile), content);
+  }
+
+  return {
+    changelogFile,
+    content,
+    releases: tags.map(({ tag }) => tag).reverse()
+  };
 }
 
 /**
- * Performs a dry-run validation of update-version plugin configuration.
- * Tests if the patterns would actually match and replace content in the target file.
+ * Writes a static .releaserc.json snapshot of a config, for tools that cannot run release.config.js.
  *
- * @param {Object} fileConfig - File configuration object
- * @param {number} pluginNum - Plugin number for error reporting
- * @param {number} fileNum - File number for error reporting
- * @returns {Object} Validation result with success, errors, warnings, and replacements count
+ * Plugins shipped with this package become package references, other local plugins become
+ * relative paths, and RegExp values become { source, flags } (accepted by update-version).
+ *
+ * @param {Object} [config] - semantic-release config (defaults to buildSemanticReleaseConfig({ environment: 'ci' }))
+ * @param {Object} [options={}] - Export options
+ * @param {string} [options.output='.releaserc.json'] - Output file, relative to cwd
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @param {boolean} [options.write=true] - Whether to write the file
+ * @returns {Object} { file, snapshot, content }
+ *
+ * @example
+ * exportReleaseConfig(require('./release.config.js'));
  */
-function validateUpdateVersionDryRun(fileConfig, pluginNum, fileNum) {
+function exportReleaseConfig(config, options = {}) {
   const fs = require('fs');
-  const path = require('path');
-
-  const result = {
-    success: true,
-    errors: [],
-    warnings: [],
-    replacements: 0
-  };
+  const opts = options || {};
+  const cwd = opts.cwd || process.cwd();
+  const output = opts.output || '.releaserc.json';
+  const source = config || buildSemanticReleaseConfig({ environment: 'ci', projectPath: cwd });
 
-  const { path: filePath, patterns, pattern, replacement } = fileConfig;
+  if (source.dryRun) {
+    throw new Error('The config was built as a local dry run; build it with environment: \'ci\' or RELEASE_DRY_RUN=false before exporting');
+  }
 
-  // Resolve file path
-  const fullPath = path.resolve(process.cwd(), filePath);
+  const snapshot = toPortableConfig(source, { cwd });
+  const content = `${JSON.stringify(snapshot, null, 2)}\n`;
+  const file = path.resolve(cwd, output);
 
-  // Check if file exists
-  if (!fs.existsSync(fullPath)) {
-    result.errors.push(`update-version plugin #${pluginNum}, file #${fileNum}: target file not found: ${filePath}`);
-    result.success = false;
-    return result;
+  if (opts.write !== false) {
+    fs.writeFileSync(file, content);
   }
 
-  // Read file content
-  let content;
-  try {
-    content = fs.readFileSync(fullPath, 'utf8');
-  } catch (error) {
-    result.errors.push(`update-version plugin #${pluginNum}, file #${fileNum}: cannot read file ${filePath}: ${error.message}`);
-    result.success = false;
-    return result;
-  }
+  return { file, snapshot, content };
+}
 
-  // Prepare patterns to test
-  let patternsToTest = [];
+/**
+ * Builds a commitlint config accepting the commits the config's commit-analyzer understands:
+ * the same preset header format, and the preset types plus those of releaseRules and notesSections.
+ *
+ * @param {Object} [config] - semantic-release config (defaults to buildSemanticReleaseConfig())
+ * @returns {Object} commitlint config
+ *
+ * @example
+ * // commitlint.config.js
+ * module.exports = buildCommitlintConfig(require('./release.config.js'));
+ */
+function buildCommitlintConfig(config) {
+  return toCommitlintConfig(getCommitConvention(config || buildSemanticReleaseConfig()));
+}
 
-  if (patterns && Array.isArray(patterns)) {
-    // Advanced format with patterns array
-    patternsToTest = patterns;
-  } else if (pattern && replacement) {
-    // Simple format - convert to advanced format
-    patternsToTest = [{
-      regex: pattern,
-      replacement: replacement
-    }];
-  }
+/**
+ * Installs a commit-msg hook rejecting commits the config's commit-analyzer would not understand.
+ *
+ * The hook is a standalone Node.js script with the convention written into it, so it works
+ * before dependencies are installed; install it again after changing the commit convention.
+ *
+ * @param {Object} [config] - semantic-release config (defaults to buildSemanticReleaseConfig())
+ * @param {Object} [options={}] - Install options
+ * @param {string} [options.cwd=process.cwd()] - Directory inside the git repository
+ * @param {boolean} [options.force=false] - Replace a commit-msg hook not installed by this package
+ * @param {boolean} [options.write=true] - Whether to write the hook
+ * @returns {Object} { file, convention, content }
+ *
+ * @example
+ * installCommitHook(require('./release.config.js'));
+ */
+function installCommitHook(config, options = {}) {
+  const fs = require('fs');
+  const { execFileSync } = require('child_process');
+  const opts = options || {};
+  const cwd = opts.cwd || process.cwd();
 
-  // Test each pattern
-  patternsToTest.forEach((patternObj, patternIndex) => {
-    const { regex, replacement: repl } = patternObj;
-    const patternNum = patternIndex + 1;
+  const convention = getCommitConvention(config || buildSemanticReleaseConfig({ projectPath: cwd }));
+  const content = createCommitMsgHook(convention);
 
-    try {
-      // Convert string regex to RegExp if needed
-      const regexObj = typeof regex === 'string' ? new RegExp(regex, 'g') : regex;
+  // --git-path follows core.hooksPath and worktrees
+  let hooksDir;
+  try {
+    hooksDir = path.resolve(cwd, execFileSync('git', ['rev-parse', '--git-path', 'hooks'], { cwd, encoding: 'utf8' }).trim());
+  } catch (error) {
+    throw new Error(`${cwd} is not inside a git repository`);
+  }
+  if (fs.existsSync(hooksDir) && !fs.statSync(hooksDir).isDirectory()) {
+    throw new Error(`Git hooks are disabled in this repository (core.hooksPath is ${hooksDir})`);
+  }
+  const file = path.join(hooksDir, 'commit-msg');
 
-      // Test if regex is valid
-      if (!(regexObj instanceof RegExp)) {
-        result.errors.push(`update-version plugin #${pluginNum}, file #${fileNum}, pattern #${patternNum}: invalid regex`);
-        result.success = false;
-        return;
-      }
+  if (fs.existsSync(file) && !opts.force && !fs.readFileSync(file, 'utf8').includes(HOOK_MARKER)) {
+    throw new Error(`${file} already exists and was not installed by this package`);
+  }
 
-      // Create test replacement with mock values
-      const testVersion = '1.2.3';
-      const testDatetime = '2024-01-01T12:00:00.000Z';
+  if (opts.write !== false) {
+    fs.mkdirSync(hooksDir, { recursive: true });
+    fs.writeFileSync(file, content, { mode: 0o755 });
+    fs.chmodSync(file, 0o755);
+  }
 
-      const finalReplacement = repl
-        .replace(/\{version\}/g, testVersion)
-        .replace(/\{datetime\}/g, testDatetime)
-        .replace(/\$\{version\}/g, testVersion)
-        .replace(/\$\{date\}/g, testDatetime);
+  return { file, convention, content };
+}
 
-      // Test if pattern matches content
-      const matches = content.match(regexObj);
+/**
+ * Reads the commit convention from the commit-analyzer entry of a config.
+ *
+ * @param {Object} config - semantic-release config
+ * @returns {Object} { preset, headerPattern, types }
+ */
+function getCommitConvention(config) {
+  return conventionFromAnalyzerOptions(getPluginOptions(config.plugins || [], '@semantic-release/commit-analyzer'));
+}
 
-      if (!matches || matches.length === 0) {
-        result.warnings.push(`update-version plugin #${pluginNum}, file #${fileNum}, pattern #${patternNum}: regex pattern does not match any content in the file`);
-      } else {
-        // Test replacement (dry-run)
-        const testContent = content.replace(regexObj, finalReplacement);
+/**
+ * Lists the stable release tags reachable from HEAD that match a tag format.
+ *
+ * @param {string} tagFormat - semantic-release tag format (e.g. 'v${version}')
+ * @param {Function} git - Runs a git command and returns its output
+ * @returns {Array<Object>} { tag, parts } sorted from oldest to newest version
+ */
+function listReleaseTags(tagFormat, git) {
+  const [tagPrefix, tagSuffix = ''] = tagFormat.split('${version}');
+  const tagRegex = new RegExp(`^${escapeRegExp(tagPrefix)}(\\d+)\\.(\\d+)\\.(\\d+)${escapeRegExp(tagSuffix)}$`);
+
+  return git(['tag', '--merged', 'HEAD'])
+    .split('\n')
+    .map(tag => ({ tag, match: tagRegex.exec(tag.trim()) }))
+    .filter(({ match }) => match)
+    .map(({ tag, match }) => ({ tag: tag.trim(), parts: match.slice(1, 4).map(Number) }))
+    .sort((a, b) => a.parts[0] - b.parts[0] || a.parts[1] - b.parts[1] || a.parts[2] - b.parts[2]);
+}
 
-        if (testContent === content) {
-          result.warnings.push(`update-version plugin #${pluginNum}, file #${fileNum}, pattern #${patternNum}: pattern matches but replacement produces no changes`);
-        } else {
-          result.replacements++;
+/**
+ * Reads the commits of a revision range, optionally only those touching a directory.
+ *
+ * @param {Function} git - Runs a git command and returns its output
+ * @param {string} range - Revision range (e.g. 'v1.0.0..HEAD')
+ * @param {string} [directory] - Only include commits touching this directory
+ * @returns {Array<Object>} Commits as { hash, message }
+ */
+function readCommits(git, range, directory) {
+  const logArgs = ['log', '--format=%H%x1f%B%x1e', range];
+  if (directory) {
+    logArgs.push('--', directory);
+  }
 
-          // Validate that the replacement looks reasonable
-          if (finalReplacement.includes('{version}') || finalReplacement.includes('{datetime}')) {
-            result.warnings.push(`update-version plugin #${pluginNum}, file #${fileNum}, pattern #${patternNum}: replacement still contains unreplaced placeholders`);
-          }
-        }
-      }
+  return git(logArgs)
+    .split('\x1e')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [hash, message = ''] = entry.split('\x1f');
+      return { hash, message: message.trim() };
+    });
+}
 
-    } catch (error) {
-      result.errors.push(`update-version plugin #${pluginNum}, file #${fileNum}, pattern #${patternNum}: regex error - ${error.message}`);
-      result.success = false;
-    }
-  });
+/**
+ * Returns the options of a plugin in a config. The analyzer and notes generator options
+ * are also read from the workspace-commits wrapper that replaces them in workspace configs.
+ *
+ * @param {Array} plugins - Plugin list
+ * @param {string} name - Plugin name
+ * @returns {Object} Plugin options (empty if the plugin has none or is missing)
+ */
+function getPluginOptions(plugins, name) {
+  const names = ['@semantic-release/commit-analyzer', '@semantic-release/release-notes-generator'].includes(name)
+    ? [name, 'workspace-commits.js']
+    : [name];
+  const entry = plugins[findPluginIndex(plugins, names)];
 
-  return result;
+  return Array.isArray(entry) ? entry[1] || {} : {};
 }
 
 /**
@@ -513,11 +2125,20 @@ function validateUpdateVersionDryRun(fileConfig, pluginNum, fileNum) {
  * @param {string} [projectPath=process.cwd()] - Path to the project directory
  * @returns {Object} Detected configuration object
  * @returns {Array<string>} returns.branches - Detected release branches
- * @returns {string} returns.nodeVersion - Detected or recommended Node.js version
+ * @returns {string} returns.nodeVersion - Node.js version from .nvmrc, .node-version, .tool-versions or the lowest
+ *   version allowed by engines.node (in that order), or 'lts/*'
+ * @returns {string} returns.nodeVersionSource - Where nodeVersion came from (e.g. '.nvmrc', 'package.json engines.node', 'default')
+ * @returns {Array<string>} returns.nodeVersions - Versions allowed by engines.node to test on (e.g. ['18', '20', 'lts/*'])
  * @returns {boolean} returns.runTests - Whether tests should be run
  * @returns {string|null} returns.testCommand - Command to run tests
  * @returns {string|null} returns.buildCommand - Command to build the project
  * @returns {boolean} returns.isNpmPackage - Whether this is an npm package
+ * @returns {string} returns.packageManager - 'npm', 'pnpm', 'yarn' (classic), 'yarn-berry' (Yarn 2+) or 'bun'
+ * @returns {string|null} returns.packageManagerVersion - Version pinned by the package.json "packageManager" field
+ * @returns {string|null} returns.lockfile - Lockfile of the package manager, if any
+ * @returns {string|null} returns.suggestedProfile - buildSemanticReleaseConfig profile matching the project ('library', 'app', 'php', 'docs')
+ * @returns {Array<string>} returns.secrets - Repository secrets the release step needs besides GITHUB_TOKEN
+ *   (e.g. webhook URLs of the notifications plugin)
  * @returns {Array<string>} returns.additionalScripts - Other relevant scripts found
  */
 function detectUserConfiguration(projectPath = process.cwd()) {
@@ -526,36 +2147,43 @@ function detectUserConfiguration(projectPath = process.cwd()) {
   const config = {
     branches: ['main'],
     nodeVersion: 'lts/*',
+    nodeVersionSource: 'default',
+    nodeVersions: [],
     runTests: false,
     testCommand: null,
     buildCommand: null,
     isNpmPackage: false,
+    packageManager: 'npm',
+    packageManagerVersion: null,
+    lockfile: null,
+    suggestedProfile: null,
+    secrets: [],
     additionalScripts: []
   };
 
   try {
     // Read package.json
     const packageJsonPath = path.join(projectPath, 'package.json');
-    if (fs.existsSync(packageJsonPath)) {
-      const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+    const packageJson = fs.existsSync(packageJsonPath) ? JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')) : null;
+
+    Object.assign(config, detectPackageManager(projectPath, packageJson || {}));
+
+    // .nvmrc, .node-version and .tool-versions come before the engines.node range
+    const node = detectNodeVersion(projectPath, packageJson || {});
+    if (node.version) {
+      config.nodeVersion = node.version;
+      config.nodeVersionSource = node.source;
+    }
+    if (packageJson && packageJson.engines && packageJson.engines.node) {
+      config.nodeVersions = nodeVersionMatrix(packageJson.engines.node);
+    }
+
+    if (packageJson) {
+      const run = script => runScriptCommand(config.packageManager, script);
 
       // Detect if it's an npm package
       config.isNpmPackage = !packageJson.private && (packageJson.name && packageJson.name.startsWith('@') || packageJson.publishConfig);
 
-      // Detect Node.js version from engines
-      if (packageJson.engines && packageJson.engines.node) {
-        const nodeVersion = packageJson.engines.node;
-        // Convert common patterns to GitHub Actions format
-        if (nodeVersion.includes('>=')) {
-          const minVersion = nodeVersion.replace(/[^\d.]/g, '');
-          config.nodeVersion = minVersion;
-        } else if (nodeVersion.includes('^') || nodeVersion.includes('~')) {
-          config.nodeVersion = nodeVersion.replace(/[^\d.]/g, '');
-        } else {
-          config.nodeVersion = nodeVersion;
-        }
-      }
-
       // Detect scripts
       if (packageJson.scripts) {
         const scripts = packageJson.scripts;
@@ -564,10 +2192,10 @@ function detectUserConfiguration(projectPath = process.cwd()) {
         // Check for CI-specific test scripts first (these indicate intention to run tests in CI)
         if (scripts['test:ci']) {
           config.runTests = true;
-          config.testCommand = 'npm run test:ci';
+          config.testCommand = run('test:ci');
         } else if (scripts['test:prod'] || scripts['test:production']) {
           config.runTests = true;
-          config.testCommand = scripts['test:prod'] ? 'npm run test:prod' : 'npm run test:production';
+          config.testCommand = run(scripts['test:prod'] ? 'test:prod' : 'test:production');
         } else if (scripts.test &&
           scripts.test !== 'echo "Error: no test specified" && exit 1' &&
           scripts.test !== 'exit 1' &&
@@ -590,7 +2218,7 @@ function detectUserConfiguration(projectPath = process.cwd()) {
 
           if (hasTestFramework) {
             config.runTests = true;
-            config.testCommand = 'npm test';
+            config.testCommand = run('test');
           }
         }
 
@@ -598,23 +2226,23 @@ function detectUserConfiguration(projectPath = process.cwd()) {
         if (!config.runTests) {
           if (scripts.jest) {
             config.runTests = true;
-            config.testCommand = 'npm run jest';
+            config.testCommand = run('jest');
           } else if (scripts.mocha) {
             config.runTests = true;
-            config.testCommand = 'npm run mocha';
+            config.testCommand = run('mocha');
           } else if (scripts.vitest) {
             config.runTests = true;
-            config.testCommand = 'npm run vitest';
+            config.testCommand = run('vitest');
           }
         }
 
         // Build detection
         if (scripts.build) {
-          config.buildCommand = 'npm run build';
+          config.buildCommand = run('build');
         } else if (scripts.compile) {
-          config.buildCommand = 'npm run compile';
+          config.buildCommand = run('compile');
         } else if (scripts.dist) {
-          config.buildCommand = 'npm run dist';
+          config.buildCommand = run('dist');
         }
 
         // Additional useful scripts
@@ -643,9 +2271,33 @@ function detectUserConfiguration(projectPath = process.cwd()) {
           if (configPath.endsWith('.json') || configPath === '.releaserc') {
             releaseConfig = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
           } else {
-            // For .js files, we need to actually execute them to get the real config
-            delete require.cache[require.resolve(fullPath)];
-            releaseConfig = require(fullPath);
+            // For .js files, we need to actually execute them to get the real config. The workflow
+            // runs the CI config, and a local dry run would leave out plugins such as notifications
+            const dryRun = process.env.RELEASE_DRY_RUN;
+            process.env.RELEASE_DRY_RUN = 'false';
+            try {
+              delete require.cache[require.resolve(fullPath)];
+              releaseConfig = require(fullPath);
+            } finally {
+              if (dryRun === undefined) {
+                delete process.env.RELEASE_DRY_RUN;
+              } else {
+                process.env.RELEASE_DRY_RUN = dryRun;
+              }
+            }
+          }
+
+          // Webhook URLs of the notifications plugin are passed to the release step as secrets
+          const notifications = releaseConfig && Array.isArray(releaseConfig.plugins)
+            ? releaseConfig.plugins[findPluginIndex(releaseConfig.plugins, ['webhook-notifications.js'])]
+            : undefined;
+          if (notifications) {
+            const { resolveWebhooks } = require('./webhook-notifications.js');
+            resolveWebhooks(Array.isArray(notifications) ? notifications[1] : {}).forEach(webhook => {
+              if (!webhook.url && !config.secrets.includes(webhook.urlEnv)) {
+                config.secrets.push(webhook.urlEnv);
+              }
+            });
           }
 
           if (releaseConfig && releaseConfig.branches) {
@@ -664,6 +2316,8 @@ function detectUserConfiguration(projectPath = process.cwd()) {
       }
     }
 
+    config.suggestedProfile = suggestProfile(projectPath, config.isNpmPackage);
+
   } catch (error) {
     console.warn(`Warning: Error detecting configuration: ${error.message}`);
   }
@@ -671,6 +2325,203 @@ function detectUserConfiguration(projectPath = process.cwd()) {
   return config;
 }
 
+/**
+ * Suggests a buildSemanticReleaseConfig profile from the files in a project.
+ *
+ * @param {string} projectPath - Path to the project directory
+ * @param {boolean} isNpmPackage - Whether the project was detected as an npm package
+ * @returns {string|null} Profile name, or null if nothing matched
+ */
+function suggestProfile(projectPath, isNpmPackage) {
+  const fs = require('fs');
+  const exists = file => fs.existsSync(path.join(projectPath, file));
+
+  const hasPackageJson = exists('package.json');
+  const hasComposerJson = exists('composer.json');
+
+  if (hasComposerJson && !hasPackageJson) {
+    return 'php';
+  }
+
+  const docsMarkers = [
+    'mkdocs.yml',
+    'docusaurus.config.js',
+    'docusaurus.config.ts',
+    '.vitepress',
+    'docs/.vitepress',
+    '.vuepress',
+    'docs/.vuepress',
+    'book.toml'
+  ];
+  if (docsMarkers.some(exists)) {
+    return 'docs';
+  }
+
+  if (isNpmPackage) {
+    return 'library';
+  }
+
+  if (hasComposerJson) {
+    return 'php';
+  }
+
+  return hasPackageJson ? 'app' : null;
+}
+
+// Commands and CI setup of the supported package managers
+const PACKAGE_MANAGERS = {
+  npm: {
+    lockfiles: ['package-lock.json', 'npm-shrinkwrap.json'],
+    install: 'npm ci',
+    installUnlocked: 'npm install',
+    run: 'npm run',
+    test: 'npm test',
+    exec: 'npx',
+    cache: 'npm'
+  },
+  pnpm: {
+    lockfiles: ['pnpm-lock.yaml'],
+    install: 'pnpm install --frozen-lockfile',
+    installUnlocked: 'pnpm install',
+    run: 'pnpm run',
+    test: 'pnpm test',
+    exec: 'pnpm exec',
+    cache: 'pnpm'
+  },
+  yarn: {
+    lockfiles: ['yarn.lock'],
+    install: 'yarn install --frozen-lockfile',
+    installUnlocked: 'yarn install',
+    run: 'yarn run',
+    test: 'yarn test',
+    exec: 'yarn',
+    cache: 'yarn'
+  },
+  'yarn-berry': {
+    lockfiles: ['yarn.lock'],
+    install: 'yarn install --immutable',
+    // Yarn 2+ refuses to create a lockfile on CI by default
+    installUnlocked: 'yarn install --no-immutable',
+    run: 'yarn run',
+    test: 'yarn test',
+    exec: 'yarn',
+    cache: 'yarn'
+  },
+  bun: {
+    lockfiles: ['bun.lock', 'bun.lockb'],
+    install: 'bun install --frozen-lockfile',
+    installUnlocked: 'bun install',
+    run: 'bun run',
+    // "bun test" is Bun's own test runner, not the test script
+    test: 'bun run test',
+    exec: 'bunx',
+    cache: null
+  }
+};
+
+/**
+ * Detects the package manager from the package.json "packageManager" field, then from lockfiles.
+ *
+ * @param {string} projectPath - Path to the project directory
+ * @param {Object} packageJson - Parsed package.json
+ * @returns {Object} { packageManager, packageManagerVersion, lockfile }
+ */
+function detectPackageManager(projectPath, packageJson) {
+  const fs = require('fs');
+  const exists = file => fs.existsSync(path.join(projectPath, file));
+  const findLockfile = name => PACKAGE_MANAGERS[name].lockfiles.find(exists) || null;
+
+  // e.g. "pnpm@9.1.0" or "yarn@4.2.2+sha512.abc"
+  const field = /^(npm|pnpm|yarn|bun)@(\d[^+]*)/.exec(packageJson.packageManager || '');
+  if (field) {
+    const name = field[1] === 'yarn' && parseInt(field[2], 10) >= 2 ? 'yarn-berry' : field[1];
+    return { packageManager: name, packageManagerVersion: field[2], lockfile: findLockfile(name) };
+  }
+
+  for (const name of ['pnpm', 'bun', 'yarn', 'npm']) {
+    const lockfile = findLockfile(name);
+    if (!lockfile) continue;
+
+    // Yarn 2+ lockfiles start with a __metadata entry
+    if (name === 'yarn' && (exists('.yarnrc.yml') || fs.readFileSync(path.join(projectPath, lockfile), 'utf8').includes('__metadata:'))) {
+      return { packageManager: 'yarn-berry', packageManagerVersion: null, lockfile };
+    }
+    return { packageManager: name, packageManagerVersion: null, lockfile };
+  }
+
+  return { packageManager: 'npm', packageManagerVersion: null, lockfile: null };
+}
+
+function getPackageManager(name) {
+  if (!PACKAGE_MANAGERS[name]) {
+    throw new Error(`Unknown package manager "${name}" (supported: ${Object.keys(PACKAGE_MANAGERS).join(', ')})`);
+  }
+  return PACKAGE_MANAGERS[name];
+}
+
+/**
+ * Returns the command running a package.json script with a package manager.
+ *
+ * @param {string} packageManager - Package manager name
+ * @param {string} script - Script name
+ * @returns {string} Command (e.g. 'pnpm run build', 'yarn test')
+ */
+function runScriptCommand(packageManager, script) {
+  const manager = getPackageManager(packageManager);
+  return script === 'test' ? manager.test : `${manager.run} ${script}`;
+}
+
+/**
+ * Creates the workflow steps setting up Node.js and the package manager, and installing dependencies.
+ *
+ * @param {Object} options - { packageManager, packageManagerVersion, nodeVersion, frozenLockfile }
+ * @returns {Array<Object>} Workflow steps
+ */
+function createSetupSteps({ packageManager, packageManagerVersion, nodeVersion, frozenLockfile }) {
+  const manager = getPackageManager(packageManager);
+  const steps = [];
+
+  if (packageManager === 'pnpm') {
+    // Without inputs the action reads the version from the "packageManager" field
+    steps.push({
+      name: 'Setup pnpm',
+      uses: 'pnpm/action-setup@v4',
+      with: packageManagerVersion ? undefined : { version: 'latest' }
+    });
+  } else if (packageManager === 'yarn-berry') {
+    // setup-node runs yarn to find the cache folder, Corepack provides the project's Yarn version
+    steps.push({ name: 'Enable Corepack', run: 'corepack enable' });
+  }
+
+  steps.push({
+    name: 'Setup Node.js',
+    uses: 'actions/setup-node@v4',
+    with: {
+      'node-version': String(nodeVersion),
+      cache: frozenLockfile && manager.cache ? manager.cache : undefined
+    }
+  });
+
+  if (packageManager === 'bun') {
+    // Node.js still runs semantic-release
+    steps.push({ name: 'Setup Bun', uses: 'oven-sh/setup-bun@v2', with: { 'bun-version': packageManagerVersion || 'latest' } });
+    if (frozenLockfile) {
+      steps.push({
+        name: 'Cache Bun dependencies',
+        uses: 'actions/cache@v4',
+        with: {
+          path: '~/.bun/install/cache',
+          key: "${{ runner.os }}-bun-${{ hashFiles('**/bun.lock', '**/bun.lockb') }}"
+        }
+      });
+    }
+  }
+
+  steps.push({ name: 'Install dependencies', run: frozenLockfile ? manager.install : manager.installUnlocked });
+
+  return steps;
+}
+
 /**
  * Creates a complete GitHub Actions workflow for semantic-release.
  *
@@ -684,10 +2535,18 @@ function detectUserConfiguration(projectPath = process.cwd()) {
  * @param {string} [options.name='Release'] - Name of the GitHub Actions workflow
  * @param {Array<string>|string} [options.branches] - Branches that trigger the release workflow (auto-detected if not provided)
  * @param {string} [options.nodeVersion] - Node.js version to use (auto-detected if not provided)
+ * @param {string} [options.packageManager] - 'npm', 'pnpm', 'yarn', 'yarn-berry' or 'bun' (auto-detected, default 'npm')
+ * @param {string|null} [options.packageManagerVersion] - Version pinned by the "packageManager" field (auto-detected)
+ * @param {boolean} [options.frozenLockfile] - Install from the lockfile and cache dependencies (auto-detected, default true)
  * @param {boolean} [options.runTests] - Whether to run tests before releasing (auto-detected if not provided)
  * @param {string} [options.testCommand] - Command to run tests (auto-detected if not provided)
  * @param {string|null} [options.buildCommand] - Optional build command to run before release (auto-detected if not provided)
- * @param {Array<Object|string>} [options.additionalSteps=[]] - Custom steps to add before release
+ * @param {boolean|Object} [options.testMatrix=false] - Run tests in a separate "test" job the release job needs:
+ *   true, or { nodeVersions, os, failFast } (nodeVersions default to the versions allowed by engines.node, os to ['ubuntu-latest'])
+ * @param {Array<Object|string>} [options.additionalSteps=[]] - Custom steps to add before release: a command, or
+ *   { name, id, if, uses, with, run, shell, working-directory, env, timeout-minutes, continue-on-error }
+ * @param {Array<string>} [options.secrets] - Repository secrets passed to the release step as env vars of the same name
+ *   (auto-detected from the webhook notifications plugin if not provided)
  * @param {Object} [options.permissions] - GitHub token permissions for the workflow
  * @param {boolean} [options.autoDetect=true] - Whether to auto-detect configuration from project files
  * @param {string} [options.projectPath=process.cwd()] - Path to project for auto-detection
@@ -740,108 +2599,220 @@ function createGitHubWorkflow(options = {}) {
     name = 'Release',
     branches = detectedConfig.branches || ['main'],
     nodeVersion = detectedConfig.nodeVersion || 'lts/*',
+    packageManager = detectedConfig.packageManager || 'npm',
+    packageManagerVersion = detectedConfig.packageManagerVersion || null,
+    frozenLockfile = detectedConfig.lockfile !== null,
     runTests = detectedConfig.runTests !== undefined ? detectedConfig.runTests : false,
-    testCommand = detectedConfig.testCommand || 'npm test',
+    testCommand = detectedConfig.testCommand || runScriptCommand(packageManager, 'test'),
     buildCommand = detectedConfig.buildCommand || null,
+    testMatrix = false,
     additionalSteps = [],
+    secrets = detectedConfig.secrets || [],
     permissions = {
       contents: 'write',
       'id-token': 'write'
     }
   } = opts;
 
-  const branchesArray = Array.isArray(branches) ? branches : [branches];
-  const branchesStr = branchesArray.map(b => `"${b}"`).join(', ');
-
-  let steps = [
-    '      - name: Checkout',
-    '        uses: actions/checkout@v4',
-    '        with:',
-    '          fetch-depth: 0',
-    '',
-    '      - name: Setup Node.js',
-    '        uses: actions/setup-node@v4',
-    '        with:',
-    `          node-version: "${nodeVersion}"`,
-    '',
-    '      - name: Install dependencies',
-    '        run: npm ci'
+  const branchesArray = toBranchFilters(Array.isArray(branches) ? branches : [branches]);
+  const setup = { packageManager, packageManagerVersion, nodeVersion, frozenLockfile };
+  const jobs = {};
+
+  // With a test matrix, tests run in their own job and the release waits for every combination
+  if (testMatrix) {
+    const {
+      nodeVersions = detectedConfig.nodeVersions && detectedConfig.nodeVersions.length > 0 ? detectedConfig.nodeVersions : [nodeVersion],
+      os = ['ubuntu-latest'],
+      failFast = false
+    } = testMatrix === true ? {} : testMatrix;
+
+    jobs.test = {
+      'runs-on': '${{ matrix.os }}',
+      permissions: { contents: 'read' },
+      strategy: {
+        'fail-fast': failFast,
+        matrix: { os: [].concat(os), 'node-version': [].concat(nodeVersions).map(String) }
+      },
+      steps: [
+        { name: 'Checkout', uses: 'actions/checkout@v4' },
+        ...createSetupSteps({ ...setup, nodeVersion: '${{ matrix.node-version }}' }),
+        buildCommand ? { name: 'Build', run: buildCommand } : undefined,
+        { name: 'Run tests', run: testCommand }
+      ].filter(Boolean)
+    };
+  }
+
+  const steps = [
+    { name: 'Checkout', uses: 'actions/checkout@v4', with: { 'fetch-depth': 0 } },
+    ...createSetupSteps(setup)
   ];
 
   if (buildCommand) {
-    steps.push('');
-    steps.push('      - name: Build');
-    steps.push(`        run: ${buildCommand}`);
+    steps.push({ name: 'Build', run: buildCommand });
   }
 
-  if (runTests) {
-    steps.push('');
-    steps.push('      - name: Run tests');
-    steps.push(`        run: ${testCommand}`);
+  if (runTests && !testMatrix) {
+    steps.push({ name: 'Run tests', run: testCommand });
   }
 
-  // Add additional custom steps
-  if (additionalSteps.length > 0) {
-    steps.push('');
-    additionalSteps.forEach(step => {
-      if (typeof step === 'string') {
-        steps.push(`      - name: ${step}`);
-        steps.push(`        run: ${step}`);
-      } else {
-        steps.push(`      - name: ${step.name}`);
-        if (step.uses) {
-          steps.push(`        uses: ${step.uses}`);
-          if (step.with) {
-            steps.push('        with:');
-            Object.entries(step.with).forEach(([key, value]) => {
-              steps.push(`          ${key}: ${value}`);
-            });
-          }
-        } else if (step.run) {
-          steps.push(`        run: ${step.run}`);
-        }
-        if (step.env) {
-          steps.push('        env:');
-          Object.entries(step.env).forEach(([key, value]) => {
-            steps.push(`          ${key}: ${value}`);
-          });
-        }
-      }
-      steps.push('');
-    });
-  }
+  additionalSteps.forEach(step => {
+    steps.push(toWorkflowStep(step));
+  });
 
-  steps.push('');
-  steps.push('      - name: Release');
-  steps.push('        run: npm run semantic-release');
-  steps.push('        env:');
-  steps.push('          GITHUB_TOKEN: ${{ secrets.GITHUB_TOKEN }}');
+  const releaseEnv = { GITHUB_TOKEN: '${{ secrets.GITHUB_TOKEN }}' };
+  secrets.forEach(secret => {
+    releaseEnv[secret] = `\${{ secrets.${secret} }}`;
+  });
+  steps.push({ name: 'Release', run: runScriptCommand(packageManager, 'semantic-release'), env: releaseEnv });
 
-  let permissionsBlock = '';
-  if (permissions && Object.keys(permissions).length > 0) {
-    const lines = ['    permissions:'];
-    Object.entries(permissions).forEach(([key, value]) => {
-      lines.push(`      ${key}: ${value}`);
-    });
-    permissionsBlock = lines.join('\n') + '\n';
+  jobs.release = {
+    needs: testMatrix ? 'test' : undefined,
+    'runs-on': 'ubuntu-latest',
+    permissions: permissions && Object.keys(permissions).length > 0 ? permissions : undefined,
+    steps
+  };
+
+  const workflow = {
+    name,
+    on: { push: { branches: branchesArray } },
+    jobs
+  };
+
+  return toYaml(workflow);
+}
+
+// Keys of a workflow step, in the order they are written
+const WORKFLOW_STEP_KEYS = [
+  'name',
+  'id',
+  'if',
+  'uses',
+  'with',
+  'run',
+  'shell',
+  'working-directory',
+  'env',
+  'timeout-minutes',
+  'continue-on-error'
+];
+
+/**
+ * Converts an additionalSteps entry to a workflow step.
+ *
+ * @param {Object|string} step - Step object, or a command used as both name and run
+ * @returns {Object} Workflow step
+ */
+function toWorkflowStep(step) {
+  if (typeof step === 'string') {
+    return { name: step, run: step };
   }
 
-  const workflow = `name: ${name}
+  const unknown = Object.keys(step).filter(key => !WORKFLOW_STEP_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unsupported key(s) ${unknown.map(key => `"${key}"`).join(', ')} in workflow step "${step.name}" (supported: ${WORKFLOW_STEP_KEYS.join(', ')})`);
+  }
+  if (Boolean(step.uses) === Boolean(step.run)) {
+    throw new Error(`Workflow step "${step.name}" needs either "run" or "uses"`);
+  }
+
+  const result = {};
+  WORKFLOW_STEP_KEYS.forEach(key => {
+    if (step[key] !== undefined && step[key] !== null) {
+      result[key] = step[key];
+    }
+  });
+  return result;
+}
+
+/**
+ * Creates a GitHub Actions workflow previewing the release of each pull request.
+ *
+ * It runs semantic-release in dry-run mode on the pull request merge commit for the target
+ * branch (see previewRelease) and creates or updates one comment with the next version and
+ * notes. When the pull request has a release:major, release:minor, release:patch or release:none
+ * label, the job fails if the commit messages trigger another release type.
+ * Save it to .github/workflows/release-preview.yml.
+ *
+ * @param {Object} [options={}] - Workflow configuration options
+ * @param {string} [options.name='Release Preview'] - Name of the GitHub Actions workflow
+ * @param {Array<string>|string} [options.branches] - Target branches of the previewed pull requests (auto-detected if not provided)
+ * @param {string} [options.nodeVersion] - Node.js version to use (auto-detected if not provided)
+ * @param {string} [options.packageManager] - 'npm', 'pnpm', 'yarn', 'yarn-berry' or 'bun' (auto-detected, default 'npm')
+ * @param {string|null} [options.packageManagerVersion] - Version pinned by the "packageManager" field (auto-detected)
+ * @param {boolean} [options.frozenLockfile] - Install from the lockfile and cache dependencies (auto-detected, default true)
+ * @param {string} [options.configFile='release.config.js'] - Release config previewed
+ * @param {boolean} [options.autoDetect=true] - Whether to auto-detect configuration from project files
+ * @param {string} [options.projectPath=process.cwd()] - Path to project for auto-detection
+ *
+ * @returns {string} Complete GitHub Actions workflow YAML content
+ *
+ * @example
+ * fs.writeFileSync('.github/workflows/release-preview.yml', createPullRequestWorkflow());
+ */
+function createPullRequestWorkflow(options = {}) {
+  const opts = options || {};
+  const autoDetect = opts.autoDetect !== false;
+  const projectPath = opts.projectPath || process.cwd();
+  const detectedConfig = autoDetect ? detectUserConfiguration(projectPath) : {};
+
+  const {
+    name = 'Release Preview',
+    branches = detectedConfig.branches || ['main'],
+    nodeVersion = detectedConfig.nodeVersion || 'lts/*',
+    packageManager = detectedConfig.packageManager || 'npm',
+    packageManagerVersion = detectedConfig.packageManagerVersion || null,
+    frozenLockfile = detectedConfig.lockfile !== null,
+    configFile = 'release.config.js'
+  } = opts;
 
-on:
-  push:
-    branches: [${branchesStr}]
+  // Outside the workspace, so the preview never sees it as a changed file
+  const previewFile = '${{ runner.temp }}/release-preview.md';
 
-jobs:
-  release:
-    runs-on: ubuntu-latest
+  const steps = [
+    { name: 'Checkout', uses: 'actions/checkout@v4', with: { 'fetch-depth': 0 } },
+    ...createSetupSteps({ packageManager, packageManagerVersion, nodeVersion, frozenLockfile }),
+    {
+      name: 'Preview release',
+      // Labels are passed through env, never written into the script
+      run: `${getPackageManager(packageManager).exec} preview-release ${configFile} --labels "$PR_LABELS" --output "$PREVIEW_FILE"`,
+      env: {
+        PR_LABELS: '${{ toJSON(github.event.pull_request.labels.*.name) }}',
+        PREVIEW_FILE: previewFile
+      }
+    },
+    {
+      name: 'Comment on pull request',
+      // Also after a release type mismatch; the token of pull requests from forks cannot comment
+      if: '!cancelled() && github.event.pull_request.head.repo.full_name == github.repository',
+      uses: 'actions/github-script@v7',
+      env: { PREVIEW_FILE: previewFile },
+      with: { script: COMMENT_SCRIPT }
+    }
+  ];
 
-${permissionsBlock}
-    steps:
-${steps.join('\n')}
-`;
+  const workflow = {
+    name,
+    on: {
+      pull_request: {
+        branches: toBranchFilters(Array.isArray(branches) ? branches : [branches]),
+        // edited: the target branch changed; labeled/unlabeled: the expected release type changed
+        types: ['opened', 'synchronize', 'reopened', 'edited', 'labeled', 'unlabeled']
+      }
+    },
+    concurrency: {
+      group: 'release-preview-${{ github.event.pull_request.number }}',
+      'cancel-in-progress': true
+    },
+    jobs: {
+      preview: {
+        'runs-on': 'ubuntu-latest',
+        permissions: { contents: 'read', 'pull-requests': 'write' },
+        steps: steps.map(toWorkflowStep)
+      }
+    }
+  };
 
-  return workflow;
+  return toYaml(workflow);
 }
 
 /**
@@ -876,6 +2847,14 @@ function createSmartWorkflow(overrides = {}) {
     runTests: detectedConfig.runTests,
     testCommand: detectedConfig.testCommand,
     buildCommand: detectedConfig.buildCommand,
+    packageManager: detectedConfig.packageManager,
+    packageManagerVersion: detectedConfig.packageManagerVersion,
+    frozenLockfile: detectedConfig.lockfile !== null,
+    // Packages are tested on every Node.js version they support before publishing
+    testMatrix: detectedConfig.isNpmPackage && detectedConfig.runTests
+      ? { nodeVersions: detectedConfig.nodeVersions.length > 0 ? detectedConfig.nodeVersions : [detectedConfig.nodeVersion] }
+      : false,
+    secrets: detectedConfig.secrets,
     ...overrides // User overrides take precedence
   };
 
@@ -887,7 +2866,7 @@ function createSmartWorkflow(overrides = {}) {
     if (detectedConfig.additionalScripts.includes('lint')) {
       additionalSteps.push({
         name: 'Lint code',
-        run: 'npm run lint'
+        run: runScriptCommand(workflowOptions.packageManager, 'lint')
       });
     }
 
@@ -895,7 +2874,7 @@ function createSmartWorkflow(overrides = {}) {
     if (detectedConfig.additionalScripts.includes('typecheck')) {
       additionalSteps.push({
         name: 'Type check',
-        run: 'npm run typecheck'
+        run: runScriptCommand(workflowOptions.packageManager, 'typecheck')
       });
     }
 
@@ -913,11 +2892,20 @@ module.exports = buildSemanticReleaseConfig;
 
 // Export all functions for flexibility
 module.exports.buildSemanticReleaseConfig = buildSemanticReleaseConfig;
+module.exports.buildWorkspaceConfigs = buildWorkspaceConfigs;
+module.exports.buildBranches = buildBranches;
 module.exports.createUpdateVersionPlugin = createUpdateVersionPlugin;
 module.exports.createGitHubWorkflow = createGitHubWorkflow;
 module.exports.createSmartWorkflow = createSmartWorkflow;
+module.exports.createPullRequestWorkflow = createPullRequestWorkflow;
 module.exports.detectUserConfiguration = detectUserConfiguration;
 module.exports.validateConfig = validateConfig;
+module.exports.detectNextRelease = detectNextRelease;
+module.exports.previewRelease = previewRelease;
+module.exports.backfillChangelog = backfillChangelog;
+module.exports.exportReleaseConfig = exportReleaseConfig;
+module.exports.buildCommitlintConfig = buildCommitlintConfig;
+module.exports.installCommitHook = installCommitHook;
 
 /**
  * @fileoverview Usage Examples:
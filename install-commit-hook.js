@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * CLI tool to install a commit-msg hook accepting only commits the release config understands
+ * Usage: node install-commit-hook.js [config-file-path] [--force]
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { installCommitHook } = require('./index.js');
+
+// ANSI color codes
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m'
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function parseArgs(argv) {
+  const args = { configPath: './release.config.js', force: false };
+  const positional = [];
+
+  argv.forEach(arg => {
+    if (arg === '--force') {
+      args.force = true;
+    } else {
+      positional.push(arg);
+    }
+  });
+
+  if (positional[0]) {
+    args.configPath = positional[0];
+  }
+
+  return args;
+}
+
+function main() {
+  const { configPath, force } = parseArgs(process.argv.slice(2));
+  const fullPath = path.resolve(configPath);
+
+  if (!fs.existsSync(fullPath)) {
+    console.error(colorize(`❌ Configuration file not found: ${fullPath}`, 'red'));
+    console.error(colorize('\nUsage: node install-commit-hook.js [config-file-path] [--force]', 'yellow'));
+    process.exit(1);
+  }
+
+  try {
+    const { file, convention } = installCommitHook(require(fullPath), { force });
+
+    console.log(colorize(`✅ Installed ${path.relative(process.cwd(), file)} (${convention.preset} preset)`, 'green'));
+    console.log(`   Allowed types: ${convention.types.join(', ')}`);
+    console.log(colorize('   Run this again after changing preset, releaseRules or notesSections.', 'yellow'));
+  } catch (error) {
+    console.error(colorize(`❌ Error installing commit hook: ${error.message}`, 'red'));
+    if (!force && error.message.includes('was not installed by this package')) {
+      console.error(colorize('   Use --force to replace it.', 'yellow'));
+    }
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,45 @@
+/**
+ * semantic-release plugin running inline callbacks passed to buildSemanticReleaseConfig
+ * (onVerifyConditions, onVerifyRelease, onPrepare, onPublish, onAddChannel, onSuccess, onFail).
+ *
+ * Each callback gets the full semantic-release context; onFail also gets context.errors.
+ */
+
+const CALLBACK_STEPS = {
+  onVerifyConditions: 'verifyConditions',
+  onVerifyRelease: 'verifyRelease',
+  onPrepare: 'prepare',
+  onPublish: 'publish',
+  onAddChannel: 'addChannel',
+  onSuccess: 'success',
+  onFail: 'fail'
+};
+
+module.exports = {};
+
+Object.keys(CALLBACK_STEPS).forEach(name => {
+  module.exports[CALLBACK_STEPS[name]] = async (pluginConfig, context) => {
+    // publish and addChannel return false: a callback is not a release target
+    const noRelease = ['publish', 'addChannel'].includes(CALLBACK_STEPS[name]) ? false : undefined;
+    const callback = (pluginConfig || {})[name];
+    if (typeof callback !== 'function') {
+      return noRelease;
+    }
+
+    const args = name === 'onFail' ? [context, context.errors] : [context];
+
+    try {
+      await callback(...args);
+    } catch (error) {
+      const message = `${name} callback failed during ${CALLBACK_STEPS[name]}: ${error && error.message ? error.message : error}`;
+      context.logger.error(message);
+      const wrapped = new Error(message);
+      wrapped.cause = error;
+      throw wrapped;
+    }
+
+    return noRelease;
+  };
+});
+
+module.exports.CALLBACK_STEPS = CALLBACK_STEPS;
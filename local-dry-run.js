@@ -0,0 +1,21 @@
+/**
+ * semantic-release plugin added to local dry-run configs by buildSemanticReleaseConfig.
+ *
+ * Reports what the local dry run changed when semantic-release runs, instead of every
+ * time release.config.js is loaded (commitlint, hooks and the CLIs load it too).
+ */
+
+module.exports = {
+  verifyConditions: async (pluginConfig, context) => {
+    const { reason, removed = [] } = pluginConfig || {};
+
+    context.logger.log(`Local dry run (${reason}):`);
+    context.logger.log('  • dryRun: true');
+    if (removed.length > 0) {
+      context.logger.log(`  • removed: ${removed.join(', ')}`);
+    }
+    if (reason !== 'environment is "local"') {
+      context.logger.log('  Set RELEASE_DRY_RUN=false to keep the full CI setup.');
+    }
+  }
+};
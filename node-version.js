@@ -0,0 +1,207 @@
+/**
+ * Node.js version detection for generated workflows.
+ *
+ * Sources, in order of priority:
+ *   .nvmrc, .node-version    exact version pinned for development
+ *   .tool-versions           "nodejs" (asdf) or "node" (mise) entry
+ *   engines.node             lowest version the semver range allows
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const VERSION_FILES = ['.nvmrc', '.node-version', '.tool-versions'];
+
+/**
+ * Detects the Node.js version to use in CI and where it came from.
+ *
+ * @param {string} projectPath - Path to the project directory
+ * @param {Object} [packageJson={}] - Parsed package.json
+ * @returns {{ version: string|null, source: string|null }} Version for actions/setup-node and its source
+ *   (e.g. '.nvmrc' or 'package.json engines.node'), or nulls if nothing usable was found
+ */
+function detectNodeVersion(projectPath, packageJson = {}) {
+  for (const file of VERSION_FILES) {
+    const filePath = path.join(projectPath, file);
+    if (!fs.existsSync(filePath)) continue;
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    const version = file === '.tool-versions' ? readToolVersions(content) : readVersionFile(content);
+    if (version) {
+      return { version, source: file };
+    }
+  }
+
+  const range = packageJson.engines && packageJson.engines.node;
+  const version = range ? minVersion(range) : null;
+  if (version) {
+    return { version, source: 'package.json engines.node' };
+  }
+
+  return { version: null, source: null };
+}
+
+// .nvmrc and .node-version: first non-comment line, e.g. "v20.11.0", "20" or "lts/iron"
+function readVersionFile(content) {
+  const line = content.split('\n').map(item => item.replace(/#.*/, '').trim()).find(Boolean);
+  return line ? line.replace(/^v(?=\d)/, '') : null;
+}
+
+// .tool-versions: "nodejs 20.11.0 18.19.0", the first listed version is the default
+function readToolVersions(content) {
+  const entry = content.split('\n')
+    .map(line => line.replace(/#.*/, '').trim().split(/\s+/))
+    .find(([tool]) => tool === 'nodejs' || tool === 'node');
+  return entry && entry[1] ? entry[1].replace(/^v(?=\d)/, '') : null;
+}
+
+/**
+ * Returns the lowest version a semver range allows, as precise as the range is.
+ *
+ * Supports "||" alternatives, hyphen ranges, comparators (>=, >, <, <=, =), ^, ~ and x-ranges.
+ * Ranges that allow nothing (e.g. ">=22 <20") return null.
+ *
+ * @param {string} range - semver range (e.g. ">=18 <21", "^18 || ^20", "18.x")
+ * @returns {string|null} Version (e.g. "18", "18.17.0"), or null if the range has no lower bound
+ *
+ * @example
+ * minVersion('>=18.17 <21'); // '18.17'
+ * minVersion('^20 || ^18');  // '18'
+ * minVersion('>16');         // '17'
+ */
+function minVersion(range) {
+  const candidates = rangeBounds(range).map(({ lower }) => lower);
+
+  if (candidates.length === 0) {
+    return null;
+  }
+  return candidates.sort(compareParts)[0].join('.');
+}
+
+/**
+ * Returns the Node.js versions to test a semver range on: the lowest allowed version, every even
+ * (LTS) major the range allows above it, and 'lts/*' when the range has no upper bound.
+ *
+ * @param {string} range - semver range
+ * @returns {Array<string>} Versions for a setup-node matrix, empty if the range has no lower bound
+ *
+ * @example
+ * nodeVersionMatrix('>=18 <23');     // ['18', '20', '22']
+ * nodeVersionMatrix('^18 || >=20'); // ['18', '20', 'lts/*']
+ * nodeVersionMatrix('>=16.14');     // ['16.14', 'lts/*']
+ */
+function nodeVersionMatrix(range) {
+  const versions = [];
+  const add = version => {
+    if (!versions.includes(version)) versions.push(version);
+  };
+
+  rangeBounds(range)
+    .sort((a, b) => compareParts(a.lower, b.lower))
+    .forEach(({ lower, upper }) => {
+      const lowest = lower[0] || 0;
+      add(lower.join('.'));
+      if (!upper) {
+        add('lts/*');
+        return;
+      }
+      for (let major = lowest + 1; compareParts([major], upper) < 0; major++) {
+        if (major % 2 === 0) add(String(major));
+      }
+    });
+
+  // Keep 'lts/*' after the numbered versions
+  return versions.filter(version => version !== 'lts/*').concat(versions.includes('lts/*') ? ['lts/*'] : []);
+}
+
+// { lower, upper } of each "||" alternative with a lower bound; upper is exclusive or null
+function rangeBounds(range) {
+  return String(range).split('||')
+    .map(alternative => alternativeBounds(alternative.trim()))
+    .filter(Boolean);
+}
+
+function alternativeBounds(alternative) {
+  const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(alternative);
+  const comparators = hyphen
+    ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`]
+    : alternative.replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1').split(/\s+/).filter(Boolean);
+
+  let lower = null;
+  let upper = null;
+
+  for (const comparator of comparators) {
+    const match = /^(>=|<=|>|<|=|\^|~)?v?(.*)$/.exec(comparator);
+    const operator = match[1] || '=';
+    const parts = parseParts(match[2]);
+    if (parts === undefined) {
+      return null;
+    }
+    if (parts.length === 0) {
+      // "*" or "x" allows any version, there is no lower bound to report
+      continue;
+    }
+
+    if (operator === '<' || operator === '<=') {
+      const bound = operator === '<' ? parts : incrementLast(parts);
+      if (!upper || compareParts(bound, upper) < 0) upper = bound;
+      continue;
+    }
+
+    const bound = operator === '>' ? incrementLast(parts) : parts;
+    if (!lower || compareParts(bound, lower) > 0) lower = bound;
+
+    // ^ and ~ ranges and partial versions also have an upper bound
+    const implied = impliedUpperBound(operator, parts);
+    if (implied && (!upper || compareParts(implied, upper) < 0)) upper = implied;
+  }
+
+  if (!lower || upper && compareParts(lower, upper) >= 0) {
+    return null;
+  }
+  return { lower, upper };
+}
+
+// ^18.2 -> <19, ^0.12 -> <0.13, ~18.2 -> <18.3, 18.x -> <19, =18.2.0 -> <18.2.1
+function impliedUpperBound(operator, parts) {
+  if (operator === '^') {
+    const significant = parts.findIndex(part => part !== 0);
+    return incrementLast(significant === -1 ? parts : parts.slice(0, significant + 1));
+  }
+  if (operator === '~') {
+    return incrementLast(parts.slice(0, 2));
+  }
+  return operator === '=' ? incrementLast(parts) : null;
+}
+
+// "18.17.x" -> [18, 17]; "*" -> []; invalid -> undefined
+function parseParts(version) {
+  const parts = version.replace(/[-+].*$/, '').split('.');
+  const numbers = [];
+
+  for (const part of parts) {
+    if (/^[xX*]$/.test(part) || part === '') break;
+    if (!/^\d+$/.test(part)) return undefined;
+    numbers.push(Number(part));
+  }
+  return numbers.slice(0, 3);
+}
+
+// Smallest version above a partial version: 18 -> 19, 18.2 -> 18.3, 18.2.0 -> 18.2.1
+function incrementLast(parts) {
+  return [...parts.slice(0, -1), parts[parts.length - 1] + 1];
+}
+
+function compareParts(a, b) {
+  for (let i = 0; i < 3; i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+module.exports = {
+  detectNodeVersion,
+  minVersion,
+  nodeVersionMatrix
+};
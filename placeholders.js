@@ -0,0 +1,241 @@
+/**
+ * Placeholder values and datetime formatting shared by the update-version plugin
+ * and the validateConfig dry-run.
+ *
+ * Supported placeholders:
+ *   {version} {major} {minor} {patch} {prerelease} {channel}
+ *   {gitTag} {gitHead} {previousVersion} {buildNumber}
+ *   {datetime} {datetime:FORMAT}
+ * plus the legacy ${version} and ${date}.
+ */
+
+const SEMVER_REGEX = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+// Width of the minor and patch fields in the derived build number (1.2.3 -> 1002003)
+const BUILD_FIELD_SIZE = 1000;
+const FORMAT_TOKENS = /\[([^\]]*)\]|YYYY|YY|MM|M|DD|D|HH|H|mm|m|ss|s|SSS|ZZ|Z|X|x/g;
+
+/**
+ * Builds the placeholder values for a release.
+ *
+ * @param {Object} release - Release information
+ * @param {string} release.version - Next release version
+ * @param {string} [release.channel] - Distribution channel of the next release
+ * @param {string} [release.gitTag] - Git tag of the next release
+ * @param {string} [release.gitHead] - Commit SHA of the next release
+ * @param {string} [release.previousVersion] - Version of the last release
+ * @param {Object} [options={}] - Formatting options
+ * @param {string} [options.datetimeFormat='iso'] - Format used by {datetime}
+ * @param {string} [options.timezone='UTC'] - IANA timezone used for datetime formatting
+ * @param {string|number} [options.buildNumber] - Fixed build number (defaults to major * 1000000 + minor * 1000 + patch)
+ * @param {Date} [options.now=new Date()] - Date used for every datetime placeholder
+ * @returns {Object} Placeholder values keyed by placeholder name
+ */
+function buildPlaceholders(release, options = {}) {
+  const { datetimeFormat = 'iso', timezone = 'UTC', buildNumber, now = new Date() } = options;
+  const version = release.version;
+  const parsed = SEMVER_REGEX.exec(version || '');
+
+  const major = parsed ? parsed[1] : '';
+  const minor = parsed ? parsed[2] : '';
+  const patch = parsed ? parsed[3] : '';
+
+  return {
+    version,
+    major,
+    minor,
+    patch,
+    prerelease: parsed && parsed[4] ? parsed[4] : '',
+    channel: release.channel || '',
+    gitTag: release.gitTag || '',
+    gitHead: release.gitHead || '',
+    previousVersion: release.previousVersion || '',
+    buildNumber: buildNumber !== undefined && buildNumber !== null
+      ? String(buildNumber)
+      : (parsed ? deriveBuildNumber(major, minor, patch) : ''),
+    datetime: getFormattedDatetime(datetimeFormat, timezone, now),
+    now,
+    timezone
+  };
+}
+
+/**
+ * Derives an Android-style versionCode with fixed-width fields: 1.2.3 -> 1002003.
+ *
+ * @param {string} major - Major version
+ * @param {string} minor - Minor version
+ * @param {string} patch - Patch version
+ * @returns {string|null} Build number, or null when minor or patch does not fit its field
+ *   and the number would collide with another version's
+ */
+function deriveBuildNumber(major, minor, patch) {
+  if (Number(minor) >= BUILD_FIELD_SIZE || Number(patch) >= BUILD_FIELD_SIZE) {
+    return null;
+  }
+  return String((Number(major) * BUILD_FIELD_SIZE + Number(minor)) * BUILD_FIELD_SIZE + Number(patch));
+}
+
+/**
+ * Builds placeholder values from a semantic-release context.
+ *
+ * @param {Object} context - semantic-release context (nextRelease, lastRelease)
+ * @param {Object} [options={}] - Options passed to buildPlaceholders
+ * @returns {Object} Placeholder values
+ */
+function placeholdersFromContext(context, options = {}) {
+  const { nextRelease = {}, lastRelease = {} } = context;
+
+  return buildPlaceholders({
+    version: nextRelease.version,
+    channel: nextRelease.channel,
+    gitTag: nextRelease.gitTag,
+    gitHead: nextRelease.gitHead,
+    previousVersion: lastRelease.version
+  }, options);
+}
+
+/**
+ * Replaces every known placeholder in a template. Unknown placeholders are left untouched.
+ *
+ * @param {string} template - Template string
+ * @param {Object} values - Values from buildPlaceholders
+ * @returns {string} Template with placeholders replaced
+ * @throws {Error} If the template uses {buildNumber} and the version has no collision-free build number
+ */
+function applyPlaceholders(template, values) {
+  return template
+    // Legacy ${version} and ${date} first, so their braces are not read as {version}
+    .replace(/\$\{(version|date)\}/g, (match, name) => (name === 'version' ? values.version : values.datetime))
+    .replace(/\{(\w+)(?::([^}]*))?\}/g, (match, name, format) => {
+      if (name === 'datetime' && format !== undefined) {
+        return formatDatetime(values.now, format, values.timezone);
+      }
+      if (name === 'buildNumber' && values.buildNumber === null) {
+        throw new Error(`Cannot derive {buildNumber} from version ${values.version}: minor and patch must be below ${BUILD_FIELD_SIZE}. Set the buildNumber option instead.`);
+      }
+      if (format === undefined && Object.prototype.hasOwnProperty.call(values, name) &&
+        name !== 'now' && name !== 'timezone') {
+        return values[name];
+      }
+      return match;
+    });
+}
+
+/**
+ * Formats the release datetime.
+ *
+ * @param {string} format - 'iso', 'unix', 'custom' (legacy ISO alias) or a token format string
+ * @param {string} [timezone='UTC'] - IANA timezone
+ * @param {Date} [now=new Date()] - Date to format
+ * @returns {string} Formatted datetime
+ */
+function getFormattedDatetime(format, timezone = 'UTC', now = new Date()) {
+  switch (format) {
+    case undefined:
+    case null:
+    case 'iso':
+    case 'custom':
+      return timezone === 'UTC' ? now.toISOString() : formatDatetime(now, 'YYYY-MM-DDTHH:mm:ss.SSSZ', timezone);
+    case 'unix':
+      return Math.floor(now.getTime() / 1000).toString();
+    default:
+      return formatDatetime(now, format, timezone);
+  }
+}
+
+/**
+ * Formats a date with a token format string.
+ *
+ * Tokens: YYYY YY MM M DD D HH H mm m ss s SSS Z (+02:00) ZZ (+0200) X (unix seconds) x (unix ms).
+ * Text inside [brackets] is kept literally.
+ *
+ * @param {Date} date - Date to format
+ * @param {string} format - Token format string (e.g. 'YYYYMMDD.HHmm')
+ * @param {string} [timezone='UTC'] - IANA timezone (e.g. 'Europe/Madrid')
+ * @returns {string} Formatted date
+ */
+function formatDatetime(date, format, timezone = 'UTC') {
+  const parts = getZonedParts(date, timezone);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+  const offsetSign = parts.offset >= 0 ? '+' : '-';
+  const offsetHours = pad(Math.floor(Math.abs(parts.offset) / 60));
+  const offsetMinutes = pad(Math.abs(parts.offset) % 60);
+
+  const tokens = {
+    YYYY: pad(parts.year, 4),
+    YY: pad(parts.year % 100),
+    MM: pad(parts.month),
+    M: String(parts.month),
+    DD: pad(parts.day),
+    D: String(parts.day),
+    HH: pad(parts.hour),
+    H: String(parts.hour),
+    mm: pad(parts.minute),
+    m: String(parts.minute),
+    ss: pad(parts.second),
+    s: String(parts.second),
+    SSS: pad(date.getUTCMilliseconds(), 3),
+    Z: `${offsetSign}${offsetHours}:${offsetMinutes}`,
+    ZZ: `${offsetSign}${offsetHours}${offsetMinutes}`,
+    X: String(Math.floor(date.getTime() / 1000)),
+    x: String(date.getTime())
+  };
+
+  return format.replace(FORMAT_TOKENS, (token, literal) => (literal !== undefined ? literal : tokens[token]));
+}
+
+function getZonedParts(date, timezone) {
+  if (!timezone || timezone === 'UTC') {
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: date.getUTCHours(),
+      minute: date.getUTCMinutes(),
+      second: date.getUTCSeconds(),
+      offset: 0
+    };
+  }
+
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+  } catch (error) {
+    throw new Error(`Invalid timezone "${timezone}": ${error.message}`);
+  }
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+
+  const zonedAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const utcSeconds = Math.floor(date.getTime() / 1000) * 1000;
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    offset: Math.round((zonedAsUtc - utcSeconds) / 60000)
+  };
+}
+
+module.exports = {
+  buildPlaceholders,
+  placeholdersFromContext,
+  applyPlaceholders,
+  getFormattedDatetime,
+  formatDatetime
+};
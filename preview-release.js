@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * CLI tool to preview the release a pull request would make and check its release type
+ * Usage: node preview-release.js [config-file-path] [--branch <name>] [--expect <type>] [--labels <list>] [--output <file>]
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { previewRelease } = require('./index.js');
+const { expectedTypeFromLabels } = require('./release-preview.js');
+
+const USAGE = 'Usage: node preview-release.js [config-file-path] [--branch <name>] [--expect <major|minor|patch|none>] [--labels <list>] [--output <file>]';
+
+// ANSI color codes
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function parseArgs(argv) {
+  const args = { configPath: './release.config.js', branch: null, expect: null, labels: null, output: null };
+  const positional = [];
+  const valueOptions = { '--branch': 'branch', '--expect': 'expect', '--labels': 'labels', '--output': 'output' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    if (valueOptions[flag]) {
+      args[valueOptions[flag]] = inlineValue !== undefined ? inlineValue : argv[++i];
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  if (positional[0]) {
+    args.configPath = positional[0];
+  }
+
+  return args;
+}
+
+async function main() {
+  const { configPath, branch, expect, labels, output } = parseArgs(process.argv.slice(2));
+  const fullPath = path.resolve(configPath);
+
+  if (!fs.existsSync(fullPath)) {
+    console.error(colorize(`❌ Configuration file not found: ${fullPath}`, 'red'));
+    console.error(colorize(`\n${USAGE}`, 'yellow'));
+    process.exit(1);
+  }
+
+  try {
+    const preview = await previewRelease(require(fullPath), {
+      branch: branch || undefined,
+      expect: expect || expectedTypeFromLabels(labels)
+    });
+
+    if (output) {
+      fs.writeFileSync(path.resolve(output), preview.markdown);
+    }
+
+    console.log('');
+    console.log(preview.nextRelease
+      ? colorize(`📦 Merging into ${preview.branch} releases ${preview.nextRelease.gitTag} (${preview.releaseType})`, 'cyan')
+      : colorize(`📦 Merging into ${preview.branch} does not trigger a release`, 'cyan'));
+
+    if (preview.matches === false) {
+      console.error(colorize(`❌ Expected release type "${preview.expected}", the commit messages trigger "${preview.releaseType}"`, 'red'));
+      process.exit(1);
+    }
+    if (preview.matches) {
+      console.log(colorize(`✅ Matches the expected release type "${preview.expected}"`, 'green'));
+    }
+  } catch (error) {
+    console.error(colorize(`❌ Error previewing release: ${error.message}`, 'red'));
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { isGlob, expandGlob } = require('./glob.js');
+
+/**
+ * semantic-release plugin writing a release manifest (version, commit SHA, and size and
+ * SHA-256 checksum of every release asset) that @semantic-release/github uploads with the assets.
+ *
+ * Runs at publish, right before @semantic-release/github, so gitHead is the final release commit
+ * and assets built during prepare are included.
+ */
+module.exports = {
+  publish: async (pluginConfig, context) => {
+    const { logger, cwd = process.cwd() } = context;
+    const { manifestPath = 'release-manifest.json' } = pluginConfig || {};
+    const manifest = buildReleaseManifest(pluginConfig, context);
+
+    fs.writeFileSync(path.resolve(cwd, manifestPath), `${JSON.stringify(manifest, null, 2)}\n`);
+
+    logger.log(`✅ Wrote ${manifestPath} (${manifest.assets.length} assets)`);
+  }
+};
+
+/**
+ * Builds the manifest for the configured assets.
+ *
+ * @param {Object} pluginConfig - { assets, manifestPath } where assets use the @semantic-release/github format
+ * @param {Object} context - semantic-release context (cwd, nextRelease, logger)
+ * @returns {Object} Manifest { version, gitTag, gitHead, assets: [{ name, path, size, sha256 }] }
+ */
+function buildReleaseManifest(pluginConfig, context) {
+  const { logger, cwd = process.cwd(), nextRelease = {} } = context;
+  const { assets = [], manifestPath = 'release-manifest.json' } = pluginConfig || {};
+  const entries = [];
+
+  const isManifest = file => path.resolve(cwd, file) === path.resolve(cwd, manifestPath);
+
+  assets.forEach(asset => {
+    const { path: assetPath, name } = typeof asset === 'string' ? { path: asset } : asset;
+    if (isManifest(assetPath)) {
+      return;
+    }
+
+    const files = isGlob(assetPath, cwd)
+      ? expandGlob(assetPath, cwd)
+      : [assetPath].filter(file => fs.existsSync(path.resolve(cwd, file)) && fs.statSync(path.resolve(cwd, file)).isFile());
+
+    if (files.length === 0) {
+      logger.warn(`Release asset "${assetPath}" did not match any file`);
+    }
+
+    files
+      .filter(file => !isManifest(file))
+      .forEach(file => {
+        const content = fs.readFileSync(path.resolve(cwd, file));
+
+        entries.push({
+          // A fixed name only applies to a single file, like in @semantic-release/github
+          name: name && files.length === 1 ? name : path.basename(file),
+          path: file.replace(/\\/g, '/'),
+          size: content.length,
+          sha256: crypto.createHash('sha256').update(content).digest('hex')
+        });
+      });
+  });
+
+  return {
+    version: nextRelease.version,
+    gitTag: nextRelease.gitTag,
+    gitHead: nextRelease.gitHead,
+    assets: entries
+  };
+}
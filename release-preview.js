@@ -0,0 +1,106 @@
+/**
+ * Pull request release previews: the PR comment and the expected release type check.
+ *
+ * The expected type is 'major', 'minor', 'patch' or 'none', usually taken from a
+ * "release:<type>" label on the pull request.
+ */
+
+const PREVIEW_MARKER = '<!-- release-preview -->';
+const RELEASE_TYPES = ['major', 'minor', 'patch', 'none'];
+const LABEL_PREFIX = 'release:';
+
+/**
+ * Reads the expected release type from pull request labels.
+ *
+ * @param {Array<string>|string} labels - Label names, a JSON array or a comma-separated list
+ * @returns {string|null} Expected type, or null when no label has the "release:" prefix
+ *
+ * @example
+ * expectedTypeFromLabels(['bug', 'release:patch']); // 'patch'
+ * expectedTypeFromLabels('["docs"]');              // null
+ */
+function expectedTypeFromLabels(labels) {
+  let names = labels || [];
+  if (typeof names === 'string') {
+    names = names.trim().startsWith('[') ? JSON.parse(names) : names.split(',');
+  }
+
+  const types = [];
+  names.map(name => String(name).trim()).filter(name => name.startsWith(LABEL_PREFIX)).forEach(name => {
+    const type = name.slice(LABEL_PREFIX.length).trim();
+    if (!RELEASE_TYPES.includes(type)) {
+      throw new Error(`Unknown release label "${name}" (expected ${RELEASE_TYPES.map(item => LABEL_PREFIX + item).join(', ')})`);
+    }
+    if (!types.includes(type)) types.push(type);
+  });
+
+  if (types.length > 1) {
+    throw new Error(`Conflicting release labels: ${types.map(type => LABEL_PREFIX + type).join(', ')}`);
+  }
+  return types[0] || null;
+}
+
+/**
+ * Builds the pull request comment for a preview.
+ *
+ * @param {Object} preview - { branch, nextRelease, lastRelease, expected, matches } as returned by previewRelease
+ * @returns {string} Markdown starting with PREVIEW_MARKER, which identifies the comment to update
+ */
+function formatReleasePreview({ branch, nextRelease, lastRelease, expected, matches }) {
+  const lines = [PREVIEW_MARKER, '### 📦 Release preview', ''];
+  const releaseType = nextRelease ? nextRelease.type : 'none';
+
+  if (nextRelease) {
+    const previous = lastRelease && lastRelease.gitTag ? `, previous release ${lastRelease.gitTag}` : ', first release';
+    lines.push(`Merging into \`${branch}\` releases **${nextRelease.gitTag}** (${releaseType}${previous}).`);
+  } else {
+    lines.push(`Merging into \`${branch}\` does not trigger a release.`);
+  }
+
+  if (expected) {
+    lines.push('');
+    lines.push(matches
+      ? `✅ Matches the \`${LABEL_PREFIX}${expected}\` label.`
+      : `❌ The \`${LABEL_PREFIX}${expected}\` label expects ${describeType(expected)}, but the commit messages trigger ${describeType(releaseType)}. ` +
+        'Reword the commits or change the label.');
+  }
+
+  if (nextRelease && nextRelease.notes) {
+    lines.push('', '<details>', '<summary>Release notes</summary>', '', nextRelease.notes.trim(), '', '</details>');
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function describeType(type) {
+  return type === 'none' ? 'no release' : `a ${type} release`;
+}
+
+// actions/github-script code creating or updating the comment marked with PREVIEW_MARKER
+const COMMENT_SCRIPT = `const fs = require('fs');
+const file = process.env.PREVIEW_FILE;
+if (!fs.existsSync(file)) {
+  core.info('No release preview was written');
+  return;
+}
+
+const body = fs.readFileSync(file, 'utf8');
+const { owner, repo } = context.repo;
+const issue_number = context.issue.number;
+const comments = await github.paginate(github.rest.issues.listComments, { owner, repo, issue_number, per_page: 100 });
+const existing = comments.find(comment => comment.body && comment.body.startsWith(${JSON.stringify(PREVIEW_MARKER)}));
+
+if (existing) {
+  await github.rest.issues.updateComment({ owner, repo, comment_id: existing.id, body });
+} else {
+  await github.rest.issues.createComment({ owner, repo, issue_number, body });
+}
+`;
+
+module.exports = {
+  PREVIEW_MARKER,
+  RELEASE_TYPES,
+  COMMENT_SCRIPT,
+  expectedTypeFromLabels,
+  formatReleasePreview
+};
@@ -0,0 +1,78 @@
+/**
+ * Converts a built semantic-release config into a static, JSON-safe .releaserc.json snapshot.
+ *
+ * - plugins shipped with this package become package references
+ *   (e.g. '@clash-strategic/release-config/update-version.js')
+ * - other absolute plugin paths become paths relative to the project
+ * - RegExp values become { source, flags }, which update-version accepts back
+ */
+
+const path = require('path');
+const { name: packageName } = require('./package.json');
+
+/**
+ * Returns a JSON-safe copy of a config.
+ *
+ * @param {Object} config - semantic-release config
+ * @param {Object} [options={}] - Snapshot options
+ * @param {string} [options.cwd=process.cwd()] - Project directory other local plugin paths are made relative to
+ * @returns {Object} JSON-safe config
+ */
+function toPortableConfig(config, options = {}) {
+  const { cwd = process.cwd() } = options;
+
+  const portable = toJsonValue(config, 'config');
+
+  if (Array.isArray(portable.plugins)) {
+    portable.plugins = portable.plugins.map(entry => (
+      Array.isArray(entry)
+        ? [toPortablePluginPath(entry[0], cwd), ...entry.slice(1)]
+        : toPortablePluginPath(entry, cwd)
+    ));
+  }
+
+  return portable;
+}
+
+function toPortablePluginPath(pluginName, cwd) {
+  if (typeof pluginName !== 'string' || !path.isAbsolute(pluginName)) {
+    return pluginName;
+  }
+
+  if (path.dirname(pluginName) === __dirname) {
+    return `${packageName}/${path.basename(pluginName)}`;
+  }
+
+  const relative = path.relative(cwd, pluginName).replace(/\\/g, '/');
+  return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+function toJsonValue(value, location) {
+  if (value instanceof RegExp) {
+    return { source: value.source, flags: value.flags };
+  }
+
+  if (typeof value === 'function') {
+    throw new Error(`${location} is a function and cannot be written to a static config`);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => toJsonValue(item, `${location}[${index}]`));
+  }
+
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      if (value[key] !== undefined) {
+        result[key] = toJsonValue(value[key], `${location}.${key}`);
+      }
+    });
+    return result;
+  }
+
+  return value;
+}
+
+module.exports = {
+  toPortableConfig
+};
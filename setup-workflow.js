@@ -6,12 +6,17 @@
 
 const fs = require('fs');
 const path = require('path');
-const { createSmartWorkflow, detectUserConfiguration } = require('./index.js');
+const { createSmartWorkflow, createPullRequestWorkflow, detectUserConfiguration } = require('./index.js');
 
 /**
  * Creates the .github/workflows directory and release.yml file
+ *
+ * @param {Object} [options={}] - createSmartWorkflow options, plus pullRequestPreview: true or
+ *   createPullRequestWorkflow options to also write release-preview.yml
+ * @returns {string} Path of release.yml
  */
 function setupWorkflow(options = {}) {
+  const { pullRequestPreview, ...workflowOptions } = options || {};
   const workflowDir = path.join(process.cwd(), '.github', 'workflows');
   const workflowFile = path.join(workflowDir, 'release.yml');
 
@@ -22,12 +27,18 @@ function setupWorkflow(options = {}) {
   }
 
   // Generate workflow content using smart defaults
-  const workflowContent = createSmartWorkflow(options);
+  const workflowContent = createSmartWorkflow(workflowOptions);
 
   // Write workflow file
   fs.writeFileSync(workflowFile, workflowContent);
   console.log('✅ Created .github/workflows/release.yml');
 
+  if (pullRequestPreview) {
+    const previewContent = createPullRequestWorkflow(pullRequestPreview === true ? {} : pullRequestPreview);
+    fs.writeFileSync(path.join(workflowDir, 'release-preview.yml'), previewContent);
+    console.log('✅ Created .github/workflows/release-preview.yml');
+  }
+
   return workflowFile;
 }
 
@@ -44,8 +55,12 @@ function interactiveSetup() {
 
     console.log('\n📋 Detected configuration:');
     console.log(`   • Branches: ${detectedConfig.branches.join(', ')}`);
-    console.log(`   • Node.js version: ${detectedConfig.nodeVersion}`);
+    console.log(`   • Node.js version: ${detectedConfig.nodeVersion} (from ${detectedConfig.nodeVersionSource})`);
+    console.log(`   • Package manager: ${detectedConfig.packageManager}${detectedConfig.packageManagerVersion ? `@${detectedConfig.packageManagerVersion}` : ''}${detectedConfig.lockfile ? ` (${detectedConfig.lockfile})` : ' (no lockfile)'}`);
     console.log(`   • Run tests: ${detectedConfig.runTests ? 'Yes' : 'No'}`);
+    if (detectedConfig.isNpmPackage && detectedConfig.runTests && detectedConfig.nodeVersions.length > 0) {
+      console.log(`   • Test matrix: Node.js ${detectedConfig.nodeVersions.join(', ')}`);
+    }
     if (detectedConfig.testCommand) {
       console.log(`   • Test command: ${detectedConfig.testCommand}`);
     }
@@ -56,10 +71,14 @@ function interactiveSetup() {
       console.log(`   • Additional scripts found: ${detectedConfig.additionalScripts.join(', ')}`);
     }
     console.log(`   • NPM package: ${detectedConfig.isNpmPackage ? 'Yes' : 'No'}`);
+    if (detectedConfig.suggestedProfile) {
+      console.log(`   • Suggested profile: ${detectedConfig.suggestedProfile} (buildSemanticReleaseConfig({ profile: '${detectedConfig.suggestedProfile}' }))`);
+    }
 
     // Use auto-detected configuration (createGitHubWorkflow will auto-detect by default)
     const options = {
-      name: 'Release'
+      name: 'Release',
+      pullRequestPreview: process.argv.includes('--pr-preview')
       // Let createGitHubWorkflow auto-detect everything else
     };
 
@@ -70,6 +89,11 @@ function interactiveSetup() {
     console.log('1. Commit and push your changes');
     console.log('2. Make sure your repository has "Read and write permissions" for GitHub Actions');
     console.log('3. Push a commit with conventional format (feat:, fix:, etc.) to trigger a release');
+    if (options.pullRequestPreview) {
+      console.log('4. Label pull requests release:major, release:minor, release:patch or release:none to check their release type');
+    } else {
+      console.log('\nRun again with --pr-preview to also preview releases on pull requests.');
+    }
     console.log('\nWorkflow created at:', workflowFile);
 
   } catch (error) {
@@ -117,9 +117,1721 @@ async function testErrorCases() {
   }
 }
 
+// Test structured (JSON/TOML/YAML) adapters
+async function testStructuredFormat() {
+  console.log('\n🧪 Testing structured format...');
+
+  const fixtures = {
+    'test-composer.json': '{\n    "name": "clash/deck-analyzer",\n    "version": "0.0.0",\n    "require": {}\n}\n',
+    'test-pyproject.toml': '[project]\nname = "deck"\nversion = "0.0.0"  # managed by release\n',
+    'test-Chart.yaml': 'apiVersion: v2\nversion: 0.0.0\nappVersion: "0.0.0"\n'
+  };
+
+  try {
+    Object.entries(fixtures).forEach(([file, content]) => {
+      fs.writeFileSync(path.join(__dirname, file), content, 'utf8');
+    });
+
+    await updateVersionPlugin.prepare({
+      files: [
+        { path: 'test-composer.json', type: 'json', key: 'version' },
+        { path: 'test-pyproject.toml', key: 'project.version' },
+        { path: 'test-Chart.yaml', type: 'yaml', key: 'appVersion', value: 'v{version}' }
+      ]
+    }, mockContext);
+
+    const expected = {
+      'test-composer.json': fixtures['test-composer.json'].replace('0.0.0', '2.1.0-test-versatile'),
+      'test-pyproject.toml': fixtures['test-pyproject.toml'].replace('0.0.0', '2.1.0-test-versatile'),
+      'test-Chart.yaml': 'apiVersion: v2\nversion: 0.0.0\nappVersion: "v2.1.0-test-versatile"\n'
+    };
+
+    Object.entries(expected).forEach(([file, content]) => {
+      if (fs.readFileSync(path.join(__dirname, file), 'utf8') !== content) {
+        throw new Error(`${file} was not updated as expected`);
+      }
+    });
+    console.log('✅ Structured files updated with formatting preserved');
+
+    const { setStructuredValue } = require('./version-adapters.js');
+    const yaml = 'version: 0.0.0\nbuild: 7 # ci\nlabel: x\nquoted: \'x\'\n';
+    const yamlValues = [['version', '1.0', 'version: "1.0"'], ['version', '2.3.4', 'version: 2.3.4'], ['build', '42', 'build: 42 # ci'],
+      ['label', 'on', 'label: "on"'], ['label', 'a: b #c', 'label: "a: b #c"'], ['quoted', "it's", "quoted: 'it''s'"]];
+    yamlValues.forEach(([key, value, line]) => {
+      const updated = setStructuredValue(yaml, 'yaml', key, value).content;
+      if (!updated.split('\n').includes(line)) {
+        throw new Error(`YAML ${key} = ${JSON.stringify(value)} should be written as ${line}:\n${updated}`);
+      }
+    });
+    console.log('✅ YAML values are quoted unless YAML reads them back as the same string');
+
+    const toml = "name = 'deck'\n";
+    const tomlValues = [['v2.0.0', "name = 'v2.0.0'"], ["deck's", 'name = "deck\'s"'], ['a\nb', 'name = "a\\nb"']];
+    tomlValues.forEach(([value, line]) => {
+      const updated = setStructuredValue(toml, 'toml', 'name', value).content;
+      if (updated !== `${line}\n`) {
+        throw new Error(`TOML name = ${JSON.stringify(value)} should be written as ${line}:\n${updated}`);
+      }
+    });
+    console.log('✅ TOML literal strings become basic strings when the value needs escaping');
+
+    try {
+      await updateVersionPlugin.prepare({
+        files: [{ path: 'test-composer.json', type: 'json', key: 'extra.version' }]
+      }, mockContext);
+      throw new Error('Should have failed with missing key');
+    } catch (error) {
+      if (error.message.includes('Key "extra.version" not found')) {
+        console.log('✅ Correctly handles missing key');
+      } else {
+        throw error;
+      }
+    }
+  } finally {
+    Object.keys(fixtures).forEach(file => {
+      const filePath = path.join(__dirname, file);
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    });
+  }
+}
+
+// Test rich placeholders and custom datetime formatting
+async function testPlaceholders() {
+  console.log('\n🧪 Testing placeholders...');
+
+  const placeholderFile = path.join(__dirname, 'test-placeholders.txt');
+
+  try {
+    fs.writeFileSync(placeholderFile, 'VERSION=0\nBUILD=0\nDATE=0\nPREVIOUS=0\n', 'utf8');
+
+    await updateVersionPlugin.prepare({
+      timezone: 'Asia/Kolkata',
+      files: [{
+        path: 'test-placeholders.txt',
+        patterns: [
+          { regex: /VERSION=.*/, replacement: 'VERSION={major}.{minor}.{patch}-{prerelease}@{channel}' },
+          { regex: /BUILD=.*/, replacement: 'BUILD={buildNumber}' },
+          { regex: /DATE=.*/, replacement: 'DATE={datetime:YYYY[-]MM Z}' },
+          { regex: /PREVIOUS=.*/, replacement: 'PREVIOUS={previousVersion} ${version}' }
+        ]
+      }]
+    }, {
+      ...mockContext,
+      nextRelease: { version: '3.4.5-rc.2', channel: 'next' },
+      lastRelease: { version: '3.4.4' }
+    });
+
+    const lines = fs.readFileSync(placeholderFile, 'utf8').split('\n');
+
+    if (lines[0] !== 'VERSION=3.4.5-rc.2@next') throw new Error(`Unexpected version line: ${lines[0]}`);
+    if (lines[1] !== 'BUILD=3004005') throw new Error(`Unexpected build line: ${lines[1]}`);
+    if (!/^DATE=\d{4}-\d{2} \+05:30$/.test(lines[2])) throw new Error(`Unexpected date line: ${lines[2]}`);
+    if (lines[3] !== 'PREVIOUS=3.4.4 3.4.5-rc.2') throw new Error(`Unexpected previous line: ${lines[3]}`);
+
+    console.log('✅ Placeholders and custom datetime formats replaced correctly');
+
+    // 1.100.0 and 2.0.0 used to share a build number
+    const { buildPlaceholders, applyPlaceholders } = require('./placeholders.js');
+    const buildNumberOf = version => applyPlaceholders('{buildNumber}', buildPlaceholders({ version }));
+    if (buildNumberOf('1.100.0') === buildNumberOf('2.0.0')) {
+      throw new Error('Build numbers of 1.100.0 and 2.0.0 collide');
+    }
+    if (buildNumberOf('1.999.999') !== '1999999') throw new Error(`Unexpected build number: ${buildNumberOf('1.999.999')}`);
+
+    let collisionError;
+    try {
+      buildNumberOf('1.1000.0');
+    } catch (error) {
+      collisionError = error;
+    }
+    if (!collisionError || !collisionError.message.includes('minor and patch must be below 1000')) {
+      throw new Error('Expected a version with a minor of 1000 to be rejected');
+    }
+    if (applyPlaceholders('{version}', buildPlaceholders({ version: '1.1000.0' })) !== '1.1000.0') {
+      throw new Error('Templates without {buildNumber} should still apply');
+    }
+
+    console.log('✅ Build numbers use fixed-width fields and reject versions that would collide');
+  } finally {
+    if (fs.existsSync(placeholderFile)) fs.unlinkSync(placeholderFile);
+  }
+}
+
+// Test that a failing pattern leaves every file untouched
+async function testAtomicUpdates() {
+  console.log('\n🧪 Testing atomic updates...');
+
+  const firstFile = path.join(__dirname, 'test-atomic-1.txt');
+  const secondFile = path.join(__dirname, 'test-atomic-2.txt');
+
+  try {
+    fs.writeFileSync(firstFile, 'VERSION=0.0.0\n', 'utf8');
+    fs.writeFileSync(secondFile, 'nothing to see here\n', 'utf8');
+
+    try {
+      await updateVersionPlugin.prepare({
+        files: [
+          { path: 'test-atomic-1.txt', pattern: /VERSION=.*/, replacement: 'VERSION={version}' },
+          {
+            path: 'test-atomic-2.txt',
+            patterns: [
+              { regex: /VERSION=.*/, replacement: 'VERSION={version}' },
+              { regex: /DATE=.*/, replacement: 'DATE={datetime}' }
+            ]
+          }
+        ]
+      }, mockContext);
+      throw new Error('Should have failed with non-matching patterns');
+    } catch (error) {
+      if (!error.message.includes('test-atomic-2.txt (pattern #1)') ||
+        !error.message.includes('test-atomic-2.txt (pattern #2)')) {
+        throw error;
+      }
+    }
+
+    if (fs.readFileSync(firstFile, 'utf8') !== 'VERSION=0.0.0\n') {
+      throw new Error('First file was changed although another file failed');
+    }
+
+    console.log('✅ Failures are all reported and no file is changed');
+
+    // The second write fails after the first file was written: a directory took its place
+    const { stageUpdates, writeStagedFiles } = require('./version-engine.js');
+    fs.writeFileSync(secondFile, 'VERSION=0.0.0\n', 'utf8');
+    const { staged } = stageUpdates({
+      files: [
+        { path: 'test-atomic-1.txt', pattern: /VERSION=.*/, replacement: 'VERSION={version}' },
+        { path: 'test-atomic-2.txt', pattern: /VERSION=.*/, replacement: 'VERSION={version}' }
+      ]
+    }, { cwd: __dirname, nextRelease: mockContext.nextRelease });
+    fs.unlinkSync(secondFile);
+    fs.mkdirSync(secondFile);
+
+    const errors = [];
+    try {
+      writeStagedFiles(staged, { error: message => errors.push(message) });
+      throw new Error('Writing into a directory should fail');
+    } catch (error) {
+      if (!error.message.startsWith('update-version failed to write files: EISDIR') || !error.message.includes(secondFile)) {
+        throw error;
+      }
+    }
+    if (fs.readFileSync(firstFile, 'utf8') !== 'VERSION=0.0.0\n') {
+      throw new Error('First file was not restored after the second write failed');
+    }
+    if (JSON.stringify(errors) !== '["Write failed, restored 1 of 1 file(s)"]') {
+      throw new Error(`Unexpected restore log: ${errors.join(', ')}`);
+    }
+    console.log('✅ Files already written are restored when a later write fails');
+  } finally {
+    [firstFile, secondFile].forEach(file => fs.rmSync(file, { recursive: true, force: true }));
+  }
+}
+
+// Test verifyConditions / verifyRelease checks and preview
+async function testVerifySteps() {
+  console.log('\n🧪 Testing verify steps...');
+
+  const verifyFile = path.join(__dirname, 'test-verify.txt');
+  const logged = [];
+  const verifyContext = {
+    ...mockContext,
+    logger: { log: message => logged.push(message), error: () => {} }
+  };
+
+  try {
+    fs.writeFileSync(verifyFile, 'VERSION=0.0.0\n', 'utf8');
+
+    try {
+      await updateVersionPlugin.verifyConditions({
+        files: [{ path: 'test-verify.txt', pattern: /BUILD=.*/, replacement: 'BUILD={buildNumber}' }]
+      }, verifyContext);
+      throw new Error('verifyConditions should have failed with a non-matching pattern');
+    } catch (error) {
+      if (!error.message.includes('is misconfigured')) throw error;
+    }
+    console.log('✅ verifyConditions fails early on non-matching patterns');
+
+    await updateVersionPlugin.verifyRelease({
+      files: [{ path: 'test-verify.txt', pattern: /VERSION=.*/, replacement: 'VERSION={version}' }]
+    }, verifyContext);
+
+    const preview = logged.join('\n');
+    if (!preview.includes('- VERSION=0.0.0') || !preview.includes('+ VERSION=2.1.0-test-versatile')) {
+      throw new Error(`verifyRelease preview is missing the diff:\n${preview}`);
+    }
+    if (fs.readFileSync(verifyFile, 'utf8') !== 'VERSION=0.0.0\n') {
+      throw new Error('verifyRelease must not write files');
+    }
+    console.log('✅ verifyRelease logs a preview diff without writing');
+
+    // A file created by the build, between the verify steps and prepare
+    const builtDir = path.join(__dirname, 'test-dist');
+    const builtConfig = {
+      files: [
+        { path: 'test-dist/version.js', pattern: /VERSION = '.*?'/, replacement: "VERSION = '{version}'" },
+        { path: 'test-dist/*.map', pattern: /"version":".*?"/, replacement: '"version":"{version}"' }
+      ]
+    };
+    try {
+      logged.length = 0;
+      await updateVersionPlugin.verifyConditions(builtConfig, verifyContext);
+      await updateVersionPlugin.verifyRelease(builtConfig, verifyContext);
+      if (!logged.some(message => message.includes('test-dist/version.js: File not found yet')) ||
+        !logged.some(message => message.includes('test-dist/*.map: No files match the glob pattern yet'))) {
+        throw new Error(`Missing files should be reported as warnings:\n${logged.join('\n')}`);
+      }
+
+      fs.mkdirSync(builtDir);
+      fs.writeFileSync(path.join(builtDir, 'version.js'), "export const VERSION = '0.0.0';\n", 'utf8');
+      fs.writeFileSync(path.join(builtDir, 'app.js.map'), '{"version":"0.0.0"}\n', 'utf8');
+      await updateVersionPlugin.prepare(builtConfig, verifyContext);
+      if (!fs.readFileSync(path.join(builtDir, 'version.js'), 'utf8').includes("VERSION = '2.1.0-test-versatile'")) {
+        throw new Error('The built file was not updated at prepare');
+      }
+
+      fs.rmSync(builtDir, { recursive: true, force: true });
+      try {
+        await updateVersionPlugin.prepare(builtConfig, verifyContext);
+        throw new Error('prepare should fail when the file is still missing');
+      } catch (error) {
+        if (!error.message.includes('test-dist/version.js: File not found')) throw error;
+      }
+      console.log('✅ Verify steps only warn about files a build creates later, prepare still requires them');
+    } finally {
+      fs.rmSync(builtDir, { recursive: true, force: true });
+    }
+  } finally {
+    if (fs.existsSync(verifyFile)) fs.unlinkSync(verifyFile);
+  }
+}
+
+// Test glob paths, match-count assertions and optional entries
+async function testGlobsAndExpectations() {
+  console.log('\n🧪 Testing globs and match counts...');
+
+  const globDir = path.join(__dirname, 'test-glob');
+  const versionFiles = ['a/version.php', 'b/c/version.php'];
+
+  try {
+    versionFiles.forEach(file => {
+      fs.mkdirSync(path.dirname(path.join(globDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(globDir, file), "VERSION = '0.0.0'; // VERSION = '0.0.0'\n", 'utf8');
+    });
+
+    const logged = [];
+    await updateVersionPlugin.prepare({
+      files: [
+        {
+          path: 'test-glob/**/version.php',
+          patterns: [
+            { regex: /VERSION = '.*?'/g, replacement: "VERSION = '{version}'", expect: { exact: 2 } },
+            { regex: /BUILD = \d+/, replacement: 'BUILD = {buildNumber}', optional: true }
+          ]
+        },
+        { path: 'test-glob/missing/*.txt', pattern: /x/, replacement: 'y', optional: true }
+      ]
+    }, { ...mockContext, logger: { log: message => logged.push(message), error: () => {} } });
+
+    versionFiles.forEach(file => {
+      if (fs.readFileSync(path.join(globDir, file), 'utf8').split('2.1.0-test-versatile').length !== 3) {
+        throw new Error(`${file} was not fully updated`);
+      }
+    });
+    if (!logged.some(message => message.includes('test-glob/b/c/version.php (2 matches replaced)'))) {
+      throw new Error(`Summary does not report real match counts:\n${logged.join('\n')}`);
+    }
+    console.log('✅ Glob paths updated and real match counts reported');
+
+    try {
+      await updateVersionPlugin.prepare({
+        files: [{
+          path: 'test-glob/**/version.php',
+          pattern: /VERSION = '.*?'/g,
+          replacement: "VERSION = '{version}'",
+          expect: { max: 1 }
+        }]
+      }, mockContext);
+      throw new Error('Should have failed with too many matches');
+    } catch (error) {
+      if (!error.message.includes('Expected at most 1 match(es), found 2')) throw error;
+    }
+    console.log('✅ Correctly enforces expected match counts');
+
+    // An existing file is literal even with glob characters in its name
+    fs.mkdirSync(path.join(globDir, 'pages'), { recursive: true });
+    fs.writeFileSync(path.join(globDir, 'pages/[id].js'), "VERSION = '0.0.0'\n", 'utf8');
+    fs.writeFileSync(path.join(globDir, 'pages/i.js'), "VERSION = '0.0.0'\n", 'utf8');
+    await updateVersionPlugin.prepare({
+      files: [{ path: 'test-glob/pages/[id].js', pattern: /VERSION = '.*?'/, replacement: "VERSION = '{version}'" }]
+    }, mockContext);
+    if (!fs.readFileSync(path.join(globDir, 'pages/[id].js'), 'utf8').includes('2.1.0-test-versatile')) {
+      throw new Error('pages/[id].js was not updated');
+    }
+    if (fs.readFileSync(path.join(globDir, 'pages/i.js'), 'utf8').includes('2.1.0-test-versatile')) {
+      throw new Error('pages/[id].js was expanded as a glob');
+    }
+    console.log('✅ Existing files with glob characters in their name are used literally');
+  } finally {
+    fs.rmSync(globDir, { recursive: true, force: true });
+  }
+}
+
+async function testSnapshotRegexForm() {
+  console.log('\n🧪 Testing { source, flags } patterns from .releaserc.json snapshots...');
+
+  const { toPortableConfig } = require('./release-snapshot.js');
+  const snapshotFile = path.join(__dirname, 'test-snapshot.txt');
+
+  try {
+    fs.writeFileSync(snapshotFile, 'VERSION=0.0.0\nversion=0.0.0\n', 'utf8');
+
+    const snapshot = JSON.parse(JSON.stringify(toPortableConfig({
+      plugins: [[path.join(__dirname, 'update-version.js'), {
+        files: [{ path: 'test-snapshot.txt', pattern: /version=.*/gi, replacement: 'version={version}' }]
+      }]]
+    })));
+    const [pluginName, pluginConfig] = snapshot.plugins[0];
+
+    if (pluginName !== '@clash-strategic/release-config/update-version.js') {
+      throw new Error(`Plugin path is not portable: ${pluginName}`);
+    }
+    if (JSON.stringify(pluginConfig.files[0].pattern) !== '{"source":"version=.*","flags":"gi"}') {
+      throw new Error(`Unexpected pattern form: ${JSON.stringify(pluginConfig.files[0].pattern)}`);
+    }
+
+    await updateVersionPlugin.prepare(pluginConfig, mockContext);
+
+    if (fs.readFileSync(snapshotFile, 'utf8') !== 'version=2.1.0-test-versatile\nversion=2.1.0-test-versatile\n') {
+      throw new Error(`Snapshot pattern did not keep its flags:\n${fs.readFileSync(snapshotFile, 'utf8')}`);
+    }
+    console.log('✅ Snapshot patterns keep their flags and update the file');
+  } finally {
+    fs.rmSync(snapshotFile, { force: true });
+  }
+}
+
+async function testWebhookNotifications() {
+  console.log('\n🧪 Testing webhook notifications against a local stub...');
+
+  const http = require('http');
+  const webhookPlugin = require('./webhook-notifications.js');
+  const requests = [];
+  // /flaky fails once, /slow never answers in time
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, body: JSON.parse(body) });
+      if (req.url === '/slow') {
+        setTimeout(() => res.end(), 500);
+      } else if (req.url === '/flaky' && requests.filter(item => item.url === '/flaky').length === 1) {
+        res.statusCode = 500;
+        res.end();
+      } else {
+        res.end('ok');
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const errors = [];
+  const context = {
+    ...mockContext,
+    env: {},
+    logger: { ...mockContext.logger, error: message => errors.push(message) },
+    options: { repositoryUrl: 'https://github.com/acme/widget.git' },
+    nextRelease: { version: '2.1.0', gitTag: 'v2.1.0', notes: '### Features\n\n* widgets' },
+    releases: [{ url: 'https://github.com/acme/widget/releases/tag/v2.1.0' }]
+  };
+
+  try {
+    await webhookPlugin.success({
+      webhooks: [{ url: `${baseUrl}/hook` }, { url: `${baseUrl}/flaky` }],
+      retryDelay: 10
+    }, context);
+
+    const payload = requests.find(item => item.url === '/hook').body;
+    if (payload.version !== '2.1.0' || payload.name !== 'widget' || payload.notes !== context.nextRelease.notes ||
+      payload.url !== context.releases[0].url) {
+      throw new Error(`Unexpected success payload: ${JSON.stringify(payload)}`);
+    }
+    if (requests.filter(item => item.url === '/flaky').length !== 2 || errors.length > 0) {
+      throw new Error(`Flaky webhook was not retried: ${errors.join(', ')}`);
+    }
+    console.log('✅ Success payload sent and a 500 response retried');
+
+    await webhookPlugin.success({ url: `${baseUrl}/slow`, retries: 0, timeout: 100 }, context);
+    if (!errors.some(message => message.includes('Timed out after 100 ms'))) {
+      throw new Error(`Timeout not reported: ${errors.join(', ')}`);
+    }
+    try {
+      await webhookPlugin.success({ url: `${baseUrl}/slow`, retries: 0, timeout: 100, failOnError: true }, context);
+      throw new Error('failOnError did not fail the step');
+    } catch (error) {
+      if (!error.message.startsWith('Webhook notifications failed')) throw error;
+    }
+    console.log('✅ Timeouts are logged, and only fail the step with failOnError');
+
+    await webhookPlugin.success({ urlEnv: 'BROKEN_WEBHOOK_URL' }, { ...context, env: { BROKEN_WEBHOOK_URL: 'not a url' } });
+    if (!errors.includes('Failed to send success notification to BROKEN_WEBHOOK_URL: Invalid URL')) {
+      throw new Error(`Invalid URL not reported: ${errors.join(', ')}`);
+    }
+    try {
+      await webhookPlugin.success({ urlEnv: 'BROKEN_WEBHOOK_URL', failOnError: true }, { ...context, env: { BROKEN_WEBHOOK_URL: 'not a url' } });
+      throw new Error('failOnError did not fail the step for an invalid URL');
+    } catch (error) {
+      if (!error.message.startsWith('Webhook notifications failed')) throw error;
+    }
+    console.log('✅ Invalid webhook URLs are logged, and only fail the step with failOnError');
+
+    await webhookPlugin.fail({
+      url: `${baseUrl}/hook`,
+      format: 'slack'
+    }, { ...context, env: { npm_package_name: 'widget' }, errors: [new Error('npm token missing')] });
+    const failPayload = requests[requests.length - 1].body;
+    if (failPayload.text !== ':x: Release of widget failed\n- npm token missing') {
+      throw new Error(`Unexpected fail payload: ${JSON.stringify(failPayload)}`);
+    }
+    console.log('✅ Fail payload lists the errors');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+async function testCommitConvention() {
+  console.log('\n🧪 Testing commit rules derived from the release config...');
+
+  const { buildSemanticReleaseConfig, buildCommitlintConfig } = require('./index.js');
+  const { checkCommitMessage, conventionFromAnalyzerOptions } = require('./commit-convention.js');
+
+  const config = buildSemanticReleaseConfig({
+    configFiles: false,
+    environment: 'ci',
+    releaseRules: { deps: 'patch' },
+    notesSections: { security: 'Security' }
+  });
+  const commitlint = buildCommitlintConfig(config);
+  const types = commitlint.rules['type-enum'][2];
+
+  if (!types.includes('deps') || !types.includes('security') || !types.includes('feat')) {
+    throw new Error(`Unexpected commitlint types: ${types.join(', ')}`);
+  }
+  if (!commitlint.parserPreset.parserOpts.headerPattern.test('feat!: drop node 18')) {
+    throw new Error('conventionalcommits header pattern should accept "!"');
+  }
+
+  const angular = conventionFromAnalyzerOptions({});
+  const expectations = [
+    ['feat(parser): support arrays', true],
+    ['Feat add X', false],
+    ['Feat: add X', false],
+    ['feat!: drop node 18', false],
+    ['Merge branch \'beta\'', true],
+    ['# Please enter the commit message\nfix: handle empty files', true]
+  ];
+  expectations.forEach(([message, valid]) => {
+    const result = checkCommitMessage(message, angular);
+    if (result.valid !== valid) {
+      throw new Error(`"${message}" should be ${valid ? 'accepted' : 'rejected'}: ${result.errors.join(', ')}`);
+    }
+  });
+  console.log('✅ commitlint config and hook rules follow the preset and release rules');
+}
+
+async function testWorkflowYaml() {
+  console.log('\n🧪 Testing workflow YAML escaping...');
+
+  const { createGitHubWorkflow } = require('./index.js');
+  const workflow = createGitHubWorkflow({
+    autoDetect: false,
+    nodeVersion: '20',
+    additionalSteps: [{
+      name: 'Deploy: staging',
+      if: "github.ref == 'refs/heads/main'",
+      run: 'echo "ready: yes" # note\nnpm run deploy',
+      'working-directory': 'packages/app',
+      env: { MESSAGE: 'a: b', DEBUG: 'true' },
+      'timeout-minutes': 10,
+      'continue-on-error': true
+    }]
+  });
+
+  const expected = [
+    '          node-version: "20"',
+    '      - name: "Deploy: staging"',
+    "        if: github.ref == 'refs/heads/main'",
+    '        run: |-\n          echo "ready: yes" # note\n          npm run deploy',
+    '        working-directory: packages/app',
+    '          MESSAGE: "a: b"\n          DEBUG: "true"',
+    '        timeout-minutes: 10\n        continue-on-error: true'
+  ];
+  expected.forEach(snippet => {
+    if (!workflow.includes(snippet)) {
+      throw new Error(`Workflow is missing:\n${snippet}\n---\n${workflow}`);
+    }
+  });
+
+  try {
+    createGitHubWorkflow({ autoDetect: false, additionalSteps: [{ name: 'Typo', run: 'x', workingDirectory: 'a' }] });
+    throw new Error('Unknown step keys should be rejected');
+  } catch (error) {
+    if (!error.message.includes('Unsupported key(s) "workingDirectory"')) throw error;
+  }
+  console.log('✅ Commands, conditions and env values are quoted or written as block scalars');
+}
+
+async function testPackageManagerDetection() {
+  console.log('\n🧪 Testing package manager detection...');
+
+  const { detectUserConfiguration, createGitHubWorkflow } = require('./index.js');
+  const projectDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'release-config-pm-'));
+
+  try {
+    fs.writeFileSync(path.join(projectDir, 'package.json'), JSON.stringify({
+      name: 'pm-test',
+      packageManager: 'pnpm@9.1.0',
+      scripts: { 'test:ci': 'vitest run', build: 'tsc' }
+    }));
+    fs.writeFileSync(path.join(projectDir, 'pnpm-lock.yaml'), "lockfileVersion: '9.0'\n");
+
+    const detected = detectUserConfiguration(projectDir);
+    if (detected.packageManager !== 'pnpm' || detected.packageManagerVersion !== '9.1.0' ||
+      detected.lockfile !== 'pnpm-lock.yaml' || detected.testCommand !== 'pnpm run test:ci') {
+      throw new Error(`Unexpected detection: ${JSON.stringify(detected)}`);
+    }
+
+    const workflow = createGitHubWorkflow({ projectPath: projectDir });
+    ['uses: pnpm/action-setup@v4', 'cache: pnpm', 'run: pnpm install --frozen-lockfile', 'run: pnpm run semantic-release']
+      .forEach(line => {
+        if (!workflow.includes(line)) throw new Error(`pnpm workflow is missing "${line}":\n${workflow}`);
+      });
+
+    fs.rmSync(path.join(projectDir, 'pnpm-lock.yaml'));
+    fs.writeFileSync(path.join(projectDir, 'package.json'), JSON.stringify({ name: 'pm-test' }));
+    fs.writeFileSync(path.join(projectDir, 'yarn.lock'), '__metadata:\n  version: 8\n');
+    const berry = detectUserConfiguration(projectDir);
+    if (berry.packageManager !== 'yarn-berry' || !createGitHubWorkflow({ projectPath: projectDir }).includes('yarn install --immutable')) {
+      throw new Error(`Yarn 2+ lockfile not detected: ${berry.packageManager}`);
+    }
+    console.log('✅ pnpm and Yarn 2+ projects get their own setup, cache, install and run commands');
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+async function testNodeVersionDetection() {
+  console.log('\n🧪 Testing Node.js version detection...');
+
+  const { minVersion } = require('./node-version.js');
+  const { detectUserConfiguration } = require('./index.js');
+
+  const ranges = { '>=18 <21': '18', '^20 || ^18': '18', '>=18.17.0': '18.17.0', '>16': '17', '18.x': '18', '<21': null };
+  Object.entries(ranges).forEach(([range, expected]) => {
+    if (minVersion(range) !== expected) {
+      throw new Error(`minVersion("${range}") returned ${minVersion(range)}, expected ${expected}`);
+    }
+  });
+
+  const projectDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'release-config-node-'));
+  try {
+    fs.writeFileSync(path.join(projectDir, 'package.json'), JSON.stringify({ name: 'node-test', engines: { node: '>=18 <21' } }));
+    let detected = detectUserConfiguration(projectDir);
+    if (detected.nodeVersion !== '18' || detected.nodeVersionSource !== 'package.json engines.node') {
+      throw new Error(`Unexpected engines detection: ${detected.nodeVersion} from ${detected.nodeVersionSource}`);
+    }
+
+    fs.writeFileSync(path.join(projectDir, '.tool-versions'), 'nodejs 20.11.0\n');
+    fs.writeFileSync(path.join(projectDir, '.nvmrc'), 'v22.3.0\n');
+    detected = detectUserConfiguration(projectDir);
+    if (detected.nodeVersion !== '22.3.0' || detected.nodeVersionSource !== '.nvmrc') {
+      throw new Error(`.nvmrc should win: ${detected.nodeVersion} from ${detected.nodeVersionSource}`);
+    }
+    console.log('✅ Engine ranges resolve to their lowest version and version files take priority');
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+async function testWorkflowTestMatrix() {
+  console.log('\n🧪 Testing the workflow test matrix job...');
+
+  const { createGitHubWorkflow } = require('./index.js');
+  const { nodeVersionMatrix } = require('./node-version.js');
+
+  const matrixVersions = nodeVersionMatrix('>=18 <23');
+  if (JSON.stringify(matrixVersions) !== '["18","20","22"]' || JSON.stringify(nodeVersionMatrix('>=20')) !== '["20","lts/*"]') {
+    throw new Error(`Unexpected matrix versions: ${JSON.stringify(matrixVersions)}`);
+  }
+
+  const workflow = createGitHubWorkflow({
+    autoDetect: false,
+    runTests: true,
+    testMatrix: { nodeVersions: matrixVersions, os: ['ubuntu-latest', 'macos-latest'] }
+  });
+  const expected = [
+    '  test:\n    runs-on: ${{ matrix.os }}',
+    '        os:\n          - ubuntu-latest\n          - macos-latest\n        node-version:\n          - "18"\n          - "20"\n          - "22"',
+    '          node-version: ${{ matrix.node-version }}',
+    '  release:\n    needs: test'
+  ];
+  expected.forEach(snippet => {
+    if (!workflow.includes(snippet)) {
+      throw new Error(`Workflow is missing:\n${snippet}\n---\n${workflow}`);
+    }
+  });
+  if (workflow.split('run: npm test').length !== 2) {
+    throw new Error('Tests should only run in the test job');
+  }
+  console.log('✅ Tests run in a matrix job the release job needs');
+}
+
+async function testPullRequestPreview() {
+  console.log('\n🧪 Testing the pull request release preview...');
+
+  const { execFileSync } = require('child_process');
+  const { Writable } = require('stream');
+  const { previewRelease, createPullRequestWorkflow } = require('./index.js');
+  const { expectedTypeFromLabels, PREVIEW_MARKER } = require('./release-preview.js');
+
+  if (expectedTypeFromLabels('["bug","release:minor"]') !== 'minor' || expectedTypeFromLabels('docs, chore') !== null) {
+    throw new Error('release: labels were not read');
+  }
+  try {
+    expectedTypeFromLabels(['release:minor', 'release:major']);
+    throw new Error('Conflicting labels should be rejected');
+  } catch (error) {
+    if (!error.message.includes('Conflicting release labels')) throw error;
+  }
+
+  const workflow = createPullRequestWorkflow({ autoDetect: false, packageManager: 'pnpm' });
+  ['  pull_request:', 'pull-requests: write', 'run: pnpm exec preview-release release.config.js', 'uses: actions/github-script@v7']
+    .forEach(line => {
+      if (!workflow.includes(line)) throw new Error(`Preview workflow is missing "${line}":\n${workflow}`);
+    });
+
+  // A pull request checkout: detached merge commit, release branch only on origin
+  const rootDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'release-config-preview-'));
+  const workDir = path.join(rootDir, 'work');
+  const git = (args, cwd = workDir) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd, encoding: 'utf8', stdio: 'pipe' });
+
+  try {
+    git(['init', '--quiet', '--bare', '--initial-branch=main', path.join(rootDir, 'origin.git')], rootDir);
+    git(['init', '--quiet', '--initial-branch=main', workDir], rootDir);
+    git(['remote', 'add', 'origin', path.join(rootDir, 'origin.git')]);
+    fs.writeFileSync(path.join(workDir, 'package.json'), JSON.stringify({ name: 'preview-test', version: '0.0.0' }));
+    git(['add', '.']);
+    git(['commit', '--quiet', '-m', 'chore: init']);
+    git(['tag', 'v1.0.0']);
+    git(['checkout', '--quiet', '-b', 'feature']);
+    git(['commit', '--quiet', '--allow-empty', '-m', 'feat: add previews']);
+    git(['push', '--quiet', 'origin', 'main', 'feature', '--tags']);
+    git(['fetch', '--quiet', 'origin']);
+    git(['checkout', '--quiet', '--detach', 'origin/main']);
+    git(['merge', '--quiet', '--no-ff', 'origin/feature', '-m', 'Merge feature']);
+    git(['branch', '--quiet', '-D', 'main', 'feature']);
+
+    const config = {
+      branches: ['main'],
+      repositoryUrl: 'https://github.com/example/preview-test.git',
+      plugins: ['@semantic-release/commit-analyzer', '@semantic-release/release-notes-generator', '@semantic-release/github']
+    };
+    const silent = new Writable({ write: (chunk, encoding, callback) => callback() });
+    const preview = await previewRelease(config, { cwd: workDir, branch: 'main', expect: 'major', stdout: silent, stderr: silent });
+
+    if (!preview.nextRelease || preview.nextRelease.version !== '1.1.0' || preview.releaseType !== 'minor' || preview.matches !== false) {
+      throw new Error(`Unexpected preview: ${JSON.stringify({ ...preview, markdown: undefined })}`);
+    }
+    if (!preview.markdown.startsWith(PREVIEW_MARKER) || !preview.markdown.includes('https://github.com/example/preview-test/compare/v1.0.0...v1.1.0') ||
+      !preview.markdown.includes('`release:major` label expects a major release')) {
+      throw new Error(`Unexpected preview comment:\n${preview.markdown}`);
+    }
+    if (git(['tag']).trim() !== 'v1.0.0') {
+      throw new Error('The preview should not create tags');
+    }
+    console.log('✅ The merge commit previews v1.1.0 with real links and a mismatched label fails the check');
+  } finally {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+}
+
+async function testWorkspaces() {
+  console.log('\n🧪 Testing workspaces...');
+
+  const { execFileSync } = require('child_process');
+  const { buildWorkspaceConfigs } = require('./index.js');
+  const workspaceCommits = require('./workspace-commits.js');
+  const projectDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'release-config-workspaces-'));
+  const writePackage = (dir, manifest) => {
+    fs.mkdirSync(path.join(projectDir, dir), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, dir, 'package.json'), JSON.stringify(manifest));
+  };
+
+  try {
+    writePackage('.', { name: 'root', workspaces: { packages: ['packages/*', './tools/cli/'] } });
+    writePackage('packages/a', { name: '@acme/a', dependencies: { '@acme/b': '^1.0.0' } });
+    writePackage('packages/b', { name: '@acme/b' });
+    writePackage('tools/cli', { name: 'cli', devDependencies: { '@acme/a': '^1.0.0' } });
+    fs.mkdirSync(path.join(projectDir, 'packages', 'no-manifest'));
+
+    const configs = buildWorkspaceConfigs({ projectPath: projectDir, environment: 'ci' });
+    if (configs.map(({ name }) => name).join(',') !== '@acme/b,@acme/a,cli') {
+      throw new Error(`Workspaces should be detected and listed dependencies first: ${configs.map(({ name }) => name)}`);
+    }
+
+    const { config, tagFormat } = configs[1];
+    const gitEntry = config.plugins.find(entry => Array.isArray(entry) && entry[0] === '@semantic-release/git');
+    if (tagFormat !== 'a@v${version}' || !gitEntry[1].assets.includes('packages/a/package.json') || !gitEntry[1].assets.includes('package-lock.json')) {
+      throw new Error(`Unexpected workspace config: ${tagFormat} ${JSON.stringify(gitEntry[1].assets)}`);
+    }
+    console.log('✅ Workspaces are detected, sorted by dependencies and commit the root lockfile');
+
+    writePackage('packages/b', { name: '@acme/b', peerDependencies: { cli: '*' } });
+    try {
+      buildWorkspaceConfigs({ projectPath: projectDir, environment: 'ci' });
+      throw new Error('Circular dependencies should be rejected');
+    } catch (error) {
+      if (!error.message.includes('Circular workspace dependency: @acme/a -> @acme/b -> cli -> @acme/a')) throw error;
+    }
+    console.log('✅ Circular workspace dependencies are reported');
+
+    // Only commits touching the package decide its release type
+    const git = args => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: projectDir, encoding: 'utf8', stdio: 'pipe' });
+    git(['init', '--quiet']);
+    git(['add', 'package.json']);
+    git(['commit', '--quiet', '-m', 'chore: init']);
+    git(['add', 'packages/b']);
+    git(['commit', '--quiet', '-m', 'feat: b feature']);
+    git(['add', 'packages/a']);
+    git(['commit', '--quiet', '-m', 'fix: a bug']);
+
+    const commits = git(['log', '--format=%H%x1f%s', '-2']).trim().split('\n').map(line => {
+      const [hash, message] = line.split('\x1f');
+      return { hash, message };
+    });
+    const logs = [];
+    const releaseType = await workspaceCommits.analyzeCommits({ workspacePath: 'packages/a' }, {
+      cwd: projectDir,
+      commits,
+      options: {},
+      logger: { log: message => logs.push(message), error: () => {}, warn: () => {}, success: () => {} }
+    });
+    if (releaseType !== 'patch' || !logs.includes('Found 1 of 2 commits touching packages/a')) {
+      throw new Error(`Commits were not filtered by directory: ${releaseType} ${JSON.stringify(logs)}`);
+    }
+    console.log('✅ Workspace commits are filtered to the package directory');
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+async function testVersionFilesConfig() {
+  console.log('\n🧪 Testing versionFiles wiring into git assets...');
+
+  const { buildSemanticReleaseConfig, createUpdateVersionPlugin, validateConfig } = require('./index.js');
+  const projectDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'release-config-version-files-'));
+  const pluginNames = config => config.plugins.map(entry => (Array.isArray(entry) ? entry[0] : entry));
+
+  try {
+    fs.writeFileSync(path.join(projectDir, 'composer.json'), '{\n  "version": "0.0.0"\n}\n', 'utf8');
+    fs.writeFileSync(path.join(projectDir, 'VERSION.txt'), '0.0.0\n', 'utf8');
+
+    const config = buildSemanticReleaseConfig({
+      configFiles: false,
+      environment: 'ci',
+      versionFiles: [{ path: 'composer.json', key: 'version' }],
+      extraPrepare: [['@semantic-release/exec', { prepareCmd: 'make' }]]
+    });
+    const names = pluginNames(config);
+    const versionIndex = names.indexOf(path.join(__dirname, 'update-version.js'));
+    const gitEntry = config.plugins.find(entry => entry[0] === '@semantic-release/git');
+
+    if (!(names.indexOf('@semantic-release/changelog') < versionIndex &&
+      versionIndex < names.indexOf('@semantic-release/exec') &&
+      names.indexOf('@semantic-release/exec') < names.indexOf('@semantic-release/git'))) {
+      throw new Error(`update-version is not placed before extraPrepare and git: ${names.join(', ')}`);
+    }
+    if (JSON.stringify(gitEntry[1].assets) !== '["CHANGELOG.md","package.json","package-lock.json","composer.json"]') {
+      throw new Error(`Version files are not committed: ${JSON.stringify(gitEntry[1].assets)}`);
+    }
+    const wired = validateConfig(config, { cwd: projectDir });
+    if (wired.warnings.some(warning => warning.includes('missing from @semantic-release/git assets'))) {
+      throw new Error(`Wired version files should not be flagged: ${wired.warnings.join(', ')}`);
+    }
+    console.log('✅ versionFiles adds update-version before extraPrepare and commits the files');
+
+    // The old way, with the path left out of gitAssets
+    const manual = buildSemanticReleaseConfig({
+      configFiles: false,
+      environment: 'ci',
+      extraPrepare: [createUpdateVersionPlugin([{ path: 'VERSION.txt', pattern: /.*/, replacement: '{version}' }])]
+    });
+    const { warnings } = validateConfig(manual, { cwd: projectDir });
+    if (!warnings.includes('update-version plugin #1, file #1: "VERSION.txt" is updated but missing from @semantic-release/git assets, so the change will not be committed')) {
+      throw new Error(`Uncommitted version file not flagged: ${warnings.join(', ')}`);
+    }
+    console.log('✅ validateConfig flags update-version files missing from git assets');
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+async function testCommitConventionOptions() {
+  console.log('\n🧪 Testing presets and release rules...');
+
+  const { buildSemanticReleaseConfig } = require('./index.js');
+  const { analyzeCommits } = await import('@semantic-release/commit-analyzer');
+  const { generateNotes } = await import('@semantic-release/release-notes-generator');
+  const logger = { log: () => {}, error: () => {}, warn: () => {}, success: () => {} };
+  const contextFor = messages => ({
+    cwd: __dirname,
+    logger,
+    options: { repositoryUrl: 'https://github.com/acme/widget.git' },
+    commits: messages.map((message, index) => ({ hash: String(index).padStart(40, '0'), message })),
+    lastRelease: {},
+    nextRelease: { version: '1.1.0', gitTag: 'v1.1.0' }
+  });
+
+  const config = buildSemanticReleaseConfig({
+    configFiles: false,
+    environment: 'ci',
+    preset: 'conventionalcommits',
+    releaseRules: { perf: 'patch', 'docs(readme)': false },
+    notesSections: { perf: 'Performance', chore: false }
+  });
+  const [analyzer, notes] = config.plugins;
+  const { releaseRules, ...sharedOptions } = analyzer[1];
+
+  if (analyzer[0] !== '@semantic-release/commit-analyzer' || notes[0] !== '@semantic-release/release-notes-generator' ||
+    JSON.stringify(sharedOptions) !== JSON.stringify(notes[1])) {
+    throw new Error(`Analyzer and notes generator have different settings: ${JSON.stringify(config.plugins.slice(0, 2))}`);
+  }
+  if (notes[1].preset !== 'conventionalcommits' ||
+    !notes[1].presetConfig.types.some(type => type.type === 'perf' && type.section === 'Performance' && !type.hidden)) {
+    throw new Error(`Notes sections not applied: ${JSON.stringify(notes[1])}`);
+  }
+  if (JSON.stringify(releaseRules) !== '[{"type":"perf","release":"patch"},{"type":"docs","scope":"readme","release":false}]') {
+    throw new Error(`Unexpected release rules: ${JSON.stringify(releaseRules)}`);
+  }
+  console.log('✅ Preset and notes sections are shared by commit-analyzer and release-notes-generator');
+
+  // Both plugins load the conventionalcommits preset shipped with this package
+  const conventionalTypes = [
+    await analyzeCommits(analyzer[1], contextFor(['perf: cache parsed files'])),
+    await analyzeCommits(analyzer[1], contextFor(['docs(readme): fix a typo'])),
+    await analyzeCommits(analyzer[1], contextFor(['feat!: drop node 18']))
+  ];
+  if (conventionalTypes.join(',') !== 'patch,,major') {
+    throw new Error(`conventionalcommits release rules were not applied: ${conventionalTypes.join(',')}`);
+  }
+  const conventionalNotes = await generateNotes(notes[1], contextFor(['feat: add widgets', 'perf: cache parsed files', 'chore: bump tooling']));
+  if (!conventionalNotes.includes('### Features') || !conventionalNotes.includes('### Performance\n') ||
+    conventionalNotes.includes('bump tooling')) {
+    throw new Error(`Unexpected conventionalcommits release notes:\n${conventionalNotes}`);
+  }
+  console.log('✅ commit-analyzer and release-notes-generator run with the conventionalcommits options');
+
+  // The default angular preset, with release rules only
+  const angular = buildSemanticReleaseConfig({
+    configFiles: false,
+    environment: 'ci',
+    preset: 'angular',
+    releaseRules: { docs: 'minor', 'fix(ci)': false }
+  });
+  const analyzerOptions = angular.plugins[0][1];
+  const releaseTypes = [
+    await analyzeCommits(analyzerOptions, contextFor(['docs: add a guide'])),
+    await analyzeCommits(analyzerOptions, contextFor(['fix(ci): retry flaky job'])),
+    await analyzeCommits(analyzerOptions, contextFor(['fix: handle empty files']))
+  ];
+  if (releaseTypes.join(',') !== 'minor,,patch') {
+    throw new Error(`Release rules were not applied: ${releaseTypes.join(',')}`);
+  }
+  const releaseNotes = await generateNotes(angular.plugins[1][1], contextFor(['fix: handle empty files', 'perf: cache parsed files']));
+  if (!releaseNotes.includes('### Bug Fixes') || !releaseNotes.includes('### Performance Improvements')) {
+    throw new Error(`Unexpected release notes:\n${releaseNotes}`);
+  }
+  console.log('✅ Release rules decide the bump and the notes use the same preset');
+}
+
+async function testProfiles() {
+  console.log('\n🧪 Testing project-type profiles...');
+
+  const { buildSemanticReleaseConfig, detectUserConfiguration } = require('./index.js');
+  const build = options => buildSemanticReleaseConfig({ configFiles: false, environment: 'ci', ...options });
+  const findPlugin = (config, name) => config.plugins.find(entry => (Array.isArray(entry) ? entry[0] : entry) === name);
+  const npmOptions = config => (findPlugin(config, '@semantic-release/npm') || [])[1];
+  const gitAssets = config => findPlugin(config, '@semantic-release/git')[1].assets;
+
+  if (npmOptions(build({ profile: 'library' })).npmPublish !== true) {
+    throw new Error('library profile should publish to npm');
+  }
+  if (npmOptions(build({ profile: 'app' })).npmPublish !== false) {
+    throw new Error('app profile should not publish to npm');
+  }
+
+  const php = build({ profile: 'php' });
+  if (findPlugin(php, '@semantic-release/npm') || JSON.stringify(gitAssets(php)) !== '["CHANGELOG.md"]') {
+    throw new Error(`php profile should leave npm out entirely: ${JSON.stringify(php.plugins)}`);
+  }
+
+  const docs = build({ profile: 'docs' });
+  const docsAnalyzer = findPlugin(docs, '@semantic-release/commit-analyzer')[1];
+  if (JSON.stringify(docs.branches) !== '["main"]' || npmOptions(docs).npmPublish !== false ||
+    !docsAnalyzer.releaseRules.some(rule => rule.type === 'docs' && rule.release === 'patch')) {
+    throw new Error(`Unexpected docs profile config: ${JSON.stringify(docs)}`);
+  }
+  console.log('✅ Each profile applies its defaults');
+
+  // The docs profile's notes sections select the conventionalcommits preset, which must load
+  const { analyzeCommits } = await import('@semantic-release/commit-analyzer');
+  const docsContext = message => ({
+    cwd: __dirname,
+    logger: { log: () => {}, error: () => {}, warn: () => {}, success: () => {} },
+    options: {},
+    commits: [{ hash: '0'.repeat(40), message }]
+  });
+  const docsTypes = [
+    await analyzeCommits(docsAnalyzer, docsContext('docs: add a guide')),
+    await analyzeCommits(docsAnalyzer, docsContext('feat: search'))
+  ];
+  if (docsTypes.join(',') !== 'patch,minor') {
+    throw new Error(`Unexpected docs profile release types: ${docsTypes.join(',')}`);
+  }
+  console.log('✅ commit-analyzer runs with the docs profile options');
+
+  // Explicit options win over the profile
+  if (npmOptions(build({ profile: 'library', npmPublish: false })).npmPublish !== false) {
+    throw new Error('npmPublish should override the library profile');
+  }
+  if (!findPlugin(build({ profile: 'php', npmPlugin: true }), '@semantic-release/npm')) {
+    throw new Error('npmPlugin should override the php profile');
+  }
+  if (JSON.stringify(build({ profile: 'docs', branches: ['main', 'next'] }).branches) !== '["main","next"]') {
+    throw new Error('branches should override the docs profile');
+  }
+  try {
+    build({ profile: 'mobile' });
+    throw new Error('Unknown profiles should be rejected');
+  } catch (error) {
+    if (!error.message.includes('Unknown profile "mobile" (supported: library, app, php, docs)')) throw error;
+  }
+  console.log('✅ Explicit options override profile defaults');
+
+  const projectDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'release-config-profile-'));
+  try {
+    fs.writeFileSync(path.join(projectDir, 'composer.json'), '{}\n', 'utf8');
+    const phpSuggestion = detectUserConfiguration(projectDir).suggestedProfile;
+    fs.writeFileSync(path.join(projectDir, 'package.json'), JSON.stringify({ name: 'web', private: true }), 'utf8');
+    fs.unlinkSync(path.join(projectDir, 'composer.json'));
+    const appSuggestion = detectUserConfiguration(projectDir).suggestedProfile;
+    fs.writeFileSync(path.join(projectDir, 'mkdocs.yml'), 'site_name: Docs\n', 'utf8');
+    const docsSuggestion = detectUserConfiguration(projectDir).suggestedProfile;
+
+    if ([phpSuggestion, appSuggestion, docsSuggestion].join(',') !== 'php,app,docs') {
+      throw new Error(`Unexpected suggested profiles: ${phpSuggestion}, ${appSuggestion}, ${docsSuggestion}`);
+    }
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+  console.log('✅ detectUserConfiguration suggests a profile from the project files');
+}
+
+async function testPluginPlacement() {
+  console.log('\n🧪 Testing plugin placement across lifecycle steps...');
+
+  const { buildSemanticReleaseConfig } = require('./index.js');
+  const build = extraPlugins => buildSemanticReleaseConfig({ configFiles: false, environment: 'ci', extraPlugins });
+  const pluginNames = config => config.plugins.map(entry => (Array.isArray(entry) ? entry[0] : entry)).join(', ');
+
+  // Added at publish (last), then at prepare (before git)
+  const config = build({
+    publish: [['@semantic-release/exec', { publishCmd: './deploy.sh' }]],
+    prepare: [['@semantic-release/exec', { prepareCmd: 'npm run build' }]]
+  });
+  const exec = config.plugins.find(entry => entry[0] === '@semantic-release/exec');
+  if (!pluginNames(config).endsWith('@semantic-release/exec, @semantic-release/git, @semantic-release/github') ||
+    exec[1].publishCmd !== './deploy.sh' || exec[1].prepareCmd !== 'npm run build') {
+    throw new Error(`Merged plugin was not moved before git: ${pluginNames(config)}`);
+  }
+
+  // A built-in merged without an explicit placement stays where it is
+  const github = build({ success: [['@semantic-release/github', { successComment: false }]] });
+  if (!pluginNames(github).endsWith('@semantic-release/git, @semantic-release/github')) {
+    throw new Error(`Built-in plugin was moved: ${pluginNames(github)}`);
+  }
+  console.log('✅ Merged plugins move where every placement holds');
+
+  try {
+    build({
+      publish: [{ plugin: ['@semantic-release/exec', { publishCmd: './deploy.sh' }], after: 'github' }],
+      prepare: [['@semantic-release/exec', { prepareCmd: 'npm run build' }]]
+    });
+    throw new Error('Conflicting placements should be rejected');
+  } catch (error) {
+    if (error.message !== 'Plugin "@semantic-release/exec" cannot be placed both after "github" and before "@semantic-release/git"') {
+      throw error;
+    }
+  }
+  console.log('✅ Placements that cannot all hold are rejected');
+}
+
+async function testBranchStrategy() {
+  console.log('\n🧪 Testing branch strategies...');
+
+  const { buildBranches, validateConfig, createGitHubWorkflow, createPullRequestWorkflow } = require('./index.js');
+  const branchErrors = branches => validateConfig({ branches, plugins: ['@semantic-release/commit-analyzer'] }, { checkPlugins: false }).errors;
+
+  const branches = buildBranches({ maintenance: true, release: ['main', 'next'], prereleases: ['beta'], channels: { next: 'next' } });
+  if (JSON.stringify(branches) !== '["+([0-9])?(.{+([0-9]),x}).x","main",{"name":"next","channel":"next"},{"name":"beta","prerelease":"beta"}]') {
+    throw new Error(`Unexpected branches: ${JSON.stringify(branches)}`);
+  }
+  try {
+    buildBranches({ release: ['main', 'next', 'beta', 'alpha'] });
+    throw new Error('More than 3 release branches should be rejected');
+  } catch (error) {
+    if (error.message !== 'branchStrategy needs 1 to 3 release branches (got 4)') throw error;
+  }
+  if (branchErrors(branches).length > 0) {
+    throw new Error(`Built branches should be valid: ${branchErrors(branches).join(', ')}`);
+  }
+  console.log('✅ buildBranches builds valid maintenance, release and prerelease branches');
+
+  const errors = branchErrors([
+    'main',
+    'main',
+    { name: 'beta', prerelease: 'be ta' },
+    '1.x',
+    { name: 'legacy', range: '>=1.0.0 <1.5.0' }
+  ]);
+  const expectedErrors = [
+    'Branch #2: duplicate branch name "main"',
+    'Branch #3 ("beta"): "be ta" is not a valid prerelease identifier',
+    'Maintenance branches "1.x" (1.x) and "legacy" (>=1.0.0 <1.5.0) have overlapping ranges'
+  ];
+  if (JSON.stringify(errors) !== JSON.stringify(expectedErrors)) {
+    throw new Error(`Unexpected branch errors: ${errors.join(', ')}`);
+  }
+  if (!branchErrors(['a', 'b', 'c', 'd']).includes('Too many release branches: 4 (semantic-release allows at most 3)') ||
+    !branchErrors(['1.x', { name: 'beta', prerelease: true }]).includes('At least one release branch (not maintenance or prerelease) must be specified')) {
+    throw new Error('Release branch count not checked');
+  }
+  console.log('✅ validateConfig reports invalid branch definitions');
+
+  // GitHub branch filters are not extglobs
+  const filters = '      - "[0-9]+.x"\n      - "[0-9]+.[0-9]+.x"\n      - "[0-9]+.x.x"\n      - main\n';
+  const names = branches.map(branch => (typeof branch === 'string' ? branch : branch.name));
+  const release = createGitHubWorkflow({ autoDetect: false, branches: names });
+  const preview = createPullRequestWorkflow({ autoDetect: false, branches: names });
+  if (!release.includes(`  push:\n    branches:\n${filters}`) || !preview.includes(`  pull_request:\n    branches:\n${filters}`)) {
+    throw new Error(`Maintenance pattern not translated to branch filters:\n${release}`);
+  }
+  console.log('✅ Workflows trigger on GitHub filters for maintenance branches');
+}
+
+async function testValidateCli() {
+  console.log('\n🧪 Testing the validator CLI outside CI...');
+
+  const { execFileSync } = require('child_process');
+  const projectDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'release-config-validate-'));
+  const configPath = path.join(projectDir, 'release.config.js');
+  // A laptop: no CI variables and no RELEASE_DRY_RUN
+  const env = { ...process.env, CI: 'false' };
+  ['RELEASE_DRY_RUN', 'GITHUB_ACTIONS', 'GITLAB_CI', 'CIRCLECI', 'TRAVIS', 'BUILDKITE', 'JENKINS_URL', 'TF_BUILD',
+    'BITBUCKET_BUILD_NUMBER', 'DRONE'].forEach(name => delete env[name]);
+
+  try {
+    fs.writeFileSync(path.join(projectDir, 'VERSION.txt'), '0.0.0\n', 'utf8');
+    fs.writeFileSync(configPath, [
+      `const { buildSemanticReleaseConfig, createUpdateVersionPlugin } = require(${JSON.stringify(path.join(__dirname, 'index.js'))});`,
+      'module.exports = buildSemanticReleaseConfig({',
+      '  configFiles: false,',
+      "  extraPrepare: [createUpdateVersionPlugin([{ path: 'VERSION.txt', pattern: /.*/, replacement: '{version}' }])]",
+      '});',
+      ''
+    ].join('\n'), 'utf8');
+
+    const output = execFileSync('node', [path.join(__dirname, 'validate-config.js'), configPath], {
+      cwd: projectDir,
+      env,
+      encoding: 'utf8'
+    });
+    if (!output.includes('"VERSION.txt" is updated but missing from @semantic-release/git assets')) {
+      throw new Error(`Git assets were not checked:\n${output}`);
+    }
+    console.log('✅ The validator checks the CI config, including git assets');
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+async function testLocalDryRun() {
+  console.log('\n🧪 Testing local dry runs...');
+
+  const { buildSemanticReleaseConfig } = require('./index.js');
+  const localDryRun = require('./local-dry-run.js');
+  const printed = [];
+  const originalLog = console.log;
+
+  let config;
+  console.log = message => printed.push(message);
+  try {
+    config = buildSemanticReleaseConfig({ configFiles: false, environment: 'local' });
+  } finally {
+    console.log = originalLog;
+  }
+
+  const [first, ...rest] = config.plugins;
+  if (printed.length > 0) {
+    throw new Error(`Building the config should not print anything:\n${printed.join('\n')}`);
+  }
+  if (config.dryRun !== true || first[0] !== path.join(__dirname, 'local-dry-run.js') ||
+    rest.some(entry => /@semantic-release\/(git|github|npm)$/.test(Array.isArray(entry) ? entry[0] : entry))) {
+    throw new Error(`Unexpected local config: ${JSON.stringify(config)}`);
+  }
+
+  const logged = [];
+  await localDryRun.verifyConditions(first[1], { ...mockContext, logger: { log: message => logged.push(message) } });
+  const expected = [
+    'Local dry run (environment is "local"):',
+    '  • dryRun: true',
+    '  • removed: @semantic-release/npm, @semantic-release/git, @semantic-release/github'
+  ];
+  if (JSON.stringify(logged) !== JSON.stringify(expected)) {
+    throw new Error(`Unexpected dry-run summary:\n${logged.join('\n')}`);
+  }
+  console.log('✅ Local dry runs are reported by semantic-release, not when the config is built');
+}
+
+async function testNotificationSecrets() {
+  console.log('\n🧪 Testing webhook secrets detection...');
+
+  const { detectUserConfiguration } = require('./index.js');
+  const projectDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'release-config-secrets-'));
+  const dryRun = process.env.RELEASE_DRY_RUN;
+
+  try {
+    fs.writeFileSync(path.join(projectDir, 'release.config.js'), [
+      `const { buildSemanticReleaseConfig } = require(${JSON.stringify(path.join(__dirname, 'index.js'))});`,
+      "module.exports = buildSemanticReleaseConfig({ configFiles: false, notifications: { webhooks: [{ urlEnv: 'SLACK_WEBHOOK_URL' }] } });",
+      ''
+    ].join('\n'), 'utf8');
+
+    // A local run would build the dry-run config without the notifications plugin
+    process.env.RELEASE_DRY_RUN = '1';
+    const { secrets } = detectUserConfiguration(projectDir);
+
+    if (JSON.stringify(secrets) !== '["SLACK_WEBHOOK_URL"]' || process.env.RELEASE_DRY_RUN !== '1') {
+      throw new Error(`Webhook secrets not detected from the CI config: ${JSON.stringify(secrets)}`);
+    }
+    console.log('✅ Webhook URL secrets are detected from the CI config, even outside CI');
+  } finally {
+    if (dryRun === undefined) {
+      delete process.env.RELEASE_DRY_RUN;
+    } else {
+      process.env.RELEASE_DRY_RUN = dryRun;
+    }
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+async function testChangelogOptions() {
+  console.log('\n🧪 Testing changelog options and backfill...');
+
+  const { execFileSync } = require('child_process');
+  const { buildSemanticReleaseConfig, backfillChangelog } = require('./index.js');
+  const build = options => buildSemanticReleaseConfig({ configFiles: false, environment: 'ci', ...options });
+  const pluginNames = config => config.plugins.map(entry => (Array.isArray(entry) ? entry[0] : entry));
+  const gitAssets = config => config.plugins.find(entry => entry[0] === '@semantic-release/git')[1].assets;
+
+  const withoutChangelog = build({ changelog: false });
+  if (pluginNames(withoutChangelog).includes('@semantic-release/changelog') ||
+    JSON.stringify(gitAssets(withoutChangelog)) !== '["package.json","package-lock.json"]') {
+    throw new Error(`changelog: false should drop the plugin and its file: ${JSON.stringify(withoutChangelog.plugins)}`);
+  }
+  try {
+    await backfillChangelog(withoutChangelog, { write: false });
+    throw new Error('Backfill should require the changelog plugin');
+  } catch (error) {
+    if (error.message !== 'The config has no @semantic-release/changelog plugin') throw error;
+  }
+
+  const config = build({ changelogFile: 'docs/CHANGES.md', changelogTitle: '# Changes' });
+  const changelogEntry = config.plugins.find(entry => entry[0] === '@semantic-release/changelog');
+  if (JSON.stringify(changelogEntry[1]) !== '{"changelogFile":"docs/CHANGES.md","changelogTitle":"# Changes"}' ||
+    gitAssets(config)[0] !== 'docs/CHANGES.md') {
+    throw new Error(`Changelog options not applied: ${JSON.stringify(config.plugins)}`);
+  }
+  console.log('✅ changelogFile, changelogTitle and changelog: false are applied');
+
+  const projectDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'release-config-backfill-'));
+  const git = args => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: projectDir, encoding: 'utf8', stdio: 'pipe' });
+  const commit = (file, message) => {
+    fs.writeFileSync(path.join(projectDir, file), message, 'utf8');
+    git(['add', file]);
+    git(['commit', '--quiet', '-m', message]);
+  };
+
+  try {
+    git(['init', '--quiet']);
+    commit('a.txt', 'feat: first feature');
+    git(['tag', 'v1.0.0']);
+    commit('b.txt', 'fix: handle empty files');
+    commit('c.txt', 'feat: second feature');
+    git(['tag', 'v1.1.0']);
+    commit('d.txt', 'feat: not released yet');
+    fs.mkdirSync(path.join(projectDir, 'docs'));
+
+    const { releases, changelogFile } = await backfillChangelog(config, {
+      cwd: projectDir,
+      repositoryUrl: 'https://github.com/acme/widget.git'
+    });
+    const content = fs.readFileSync(path.join(projectDir, changelogFile), 'utf8');
+    const newest = content.indexOf('# [1.1.0](https://github.com/acme/widget/compare/v1.0.0...v1.1.0)');
+    const oldest = content.indexOf('# 1.0.0 (');
+
+    if (JSON.stringify(releases) !== '["v1.1.0","v1.0.0"]' || !content.startsWith('# Changes\n\n') ||
+      newest === -1 || oldest < newest || content.indexOf('* second feature') > oldest ||
+      content.indexOf('* handle empty files') > oldest || content.indexOf('* first feature') < oldest ||
+      content.includes('not released yet')) {
+      throw new Error(`Unexpected backfilled changelog:\n${content}`);
+    }
+    console.log('✅ backfillChangelog rebuilds the changelog from existing tags, newest first');
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+async function testConfigLayers() {
+  console.log('\n🧪 Testing layered options...');
+
+  const { resolveLayeredOptions } = require('./config-layers.js');
+  const profiles = { php: { npmPlugin: false, changelogTitle: '# Profile' } };
+  const getProfileDefaults = profile => (profile ? profiles[profile] : {});
+  const projectDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'release-config-layers-'));
+  const writeJson = (file, value) => fs.writeFileSync(path.join(projectDir, file), JSON.stringify(value), 'utf8');
+
+  try {
+    writeJson('org.json', { profile: 'php', gitMessage: 'org message', changelogTitle: '# Org', notifications: { timeout: 500, retries: 5 } });
+    writeJson('package.json', {
+      name: 'widget',
+      releaseConfig: { extends: './org.json', npmPublish: true, changelogTitle: '# Package', notifications: { retries: 1 } }
+    });
+    writeJson('.release-config.json', { changelogTitle: '# Repo' });
+
+    const printed = [];
+    const originalLog = console.log;
+    let resolved;
+    console.log = message => printed.push(message);
+    try {
+      resolved = resolveLayeredOptions({ projectPath: projectDir, npmPublish: false, debug: true }, getProfileDefaults);
+    } finally {
+      console.log = originalLog;
+    }
+    const { options, sources, layers } = resolved;
+
+    const expectedLayers = ['profile (php)', 'org (./org.json)', 'package.json#releaseConfig', '.release-config.json', 'arguments'];
+    if (JSON.stringify(layers) !== JSON.stringify(expectedLayers)) {
+      throw new Error(`Unexpected layers: ${layers.join(', ')}`);
+    }
+    const expectedOptions = {
+      npmPlugin: false,
+      changelogTitle: '# Repo',
+      profile: 'php',
+      gitMessage: 'org message',
+      notifications: { timeout: 500, retries: 1 },
+      npmPublish: false,
+      projectPath: projectDir,
+      debug: true
+    };
+    const expectedSources = {
+      npmPlugin: 'profile (php)',
+      changelogTitle: '.release-config.json',
+      profile: 'org (./org.json)',
+      gitMessage: 'org (./org.json)',
+      'notifications.timeout': 'org (./org.json)',
+      'notifications.retries': 'package.json#releaseConfig',
+      npmPublish: 'arguments',
+      projectPath: 'arguments',
+      debug: 'arguments'
+    };
+    // Key order depends on which layer set a value first
+    const sorted = value => JSON.stringify(Object.keys(value).sort().map(key => [key, value[key]]));
+    if (sorted(options) !== sorted(expectedOptions) || 'extends' in options) {
+      throw new Error(`Unexpected merged options: ${JSON.stringify(options)}`);
+    }
+    if (sorted(sources) !== sorted(expectedSources)) {
+      throw new Error(`Unexpected option sources: ${JSON.stringify(sources)}`);
+    }
+    console.log('✅ Layers merge in order: profile, org file, repo files, then arguments');
+
+    if (printed[0] !== '[release-config] option sources (unlisted options use built-in defaults):' ||
+      !printed.some(line => /^ {2}notifications\.retries +1 {2}<- package\.json#releaseConfig$/.test(line)) ||
+      !printed.some(line => /^ {2}npmPublish +false {2}<- arguments$/.test(line))) {
+      throw new Error(`Unexpected debug output:\n${printed.join('\n')}`);
+    }
+    console.log('✅ Debug mode lists the layer of every option');
+
+    // extends follows the same precedence as other options
+    writeJson('org-b.json', { gitMessage: 'org-b message' });
+    writeJson('.release-config.json', { extends: './org-b.json' });
+    const fromRepoFile = resolveLayeredOptions({ projectPath: projectDir }, getProfileDefaults);
+    if (fromRepoFile.options.gitMessage !== 'org-b message' || !fromRepoFile.layers.includes('org (./org-b.json)')) {
+      throw new Error(`.release-config.json extends should win over package.json: ${fromRepoFile.layers.join(', ')}`);
+    }
+    const fromArguments = resolveLayeredOptions({ projectPath: projectDir, extends: './org.json' }, getProfileDefaults);
+    if (fromArguments.options.gitMessage !== 'org message') {
+      throw new Error(`extends passed as an argument should win: ${fromArguments.layers.join(', ')}`);
+    }
+    console.log('✅ extends is taken from the highest layer that sets it');
+
+    writeJson('.release-config.json', {});
+    writeJson('org.json', { extends: './other.json' });
+    try {
+      resolveLayeredOptions({ projectPath: projectDir }, getProfileDefaults);
+      throw new Error('Nested extends should be rejected');
+    } catch (error) {
+      if (error.message !== 'Org defaults "./org.json" cannot use "extends" themselves') throw error;
+    }
+    console.log('✅ Org defaults cannot extend other files');
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+async function testLifecycleCallbacks() {
+  console.log('\n🧪 Testing inline lifecycle callbacks...');
+
+  const { buildSemanticReleaseConfig } = require('./index.js');
+  const calls = [];
+  const config = buildSemanticReleaseConfig({
+    configFiles: false,
+    environment: 'ci',
+    onPrepare: async ({ nextRelease }) => calls.push(`prepare ${nextRelease.version}`),
+    onFail: async (context, errors) => calls.push(`fail ${errors.length}`)
+  });
+  const names = config.plugins.map(entry => (Array.isArray(entry) ? entry[0] : entry));
+  const callbacksPath = path.join(__dirname, 'lifecycle-callbacks.js');
+  if (names.indexOf(callbacksPath) === -1 || names.indexOf(callbacksPath) > names.indexOf('@semantic-release/git')) {
+    throw new Error(`Callbacks plugin should run before git: ${names.join(', ')}`);
+  }
+
+  const plugin = require(callbacksPath);
+  const pluginConfig = config.plugins[names.indexOf(callbacksPath)][1];
+  const errors = [];
+  const context = { ...mockContext, logger: { ...mockContext.logger, error: message => errors.push(message) } };
+
+  await plugin.prepare(pluginConfig, context);
+  await plugin.fail(pluginConfig, { ...context, errors: [new Error('npm token missing')] });
+  if (await plugin.success(pluginConfig, context) !== undefined || calls.join(', ') !== 'prepare 2.1.0-test-versatile, fail 1') {
+    throw new Error(`Unexpected callback calls: ${calls.join(', ')}`);
+  }
+  console.log('✅ Callbacks run with the semantic-release context, missing ones are skipped');
+
+  const original = new Error('deploy.sh exited with 1');
+  try {
+    await plugin.publish({ onPublish: async () => { throw original; } }, context);
+    throw new Error('A failing callback should fail the step');
+  } catch (error) {
+    if (error.message !== 'onPublish callback failed during publish: deploy.sh exited with 1' || error.cause !== original) {
+      throw error;
+    }
+  }
+  if (!errors.includes('onPublish callback failed during publish: deploy.sh exited with 1')) {
+    throw new Error(`Callback failure was not logged: ${errors.join(', ')}`);
+  }
+  try {
+    buildSemanticReleaseConfig({ configFiles: false, environment: 'ci', onSuccess: 'notify.sh' });
+    throw new Error('Callbacks must be functions');
+  } catch (error) {
+    if (error.message !== '"onSuccess" must be a function (got string)') throw error;
+  }
+  console.log('✅ Callback errors name the callback and step and keep the original error');
+}
+
+async function testReleaseAssets() {
+  console.log('\n🧪 Testing release assets and the release manifest...');
+
+  const crypto = require('crypto');
+  const { buildSemanticReleaseConfig } = require('./index.js');
+  const manifestPlugin = require('./release-manifest.js');
+  const projectDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'release-config-assets-'));
+  const pluginNames = config => config.plugins.map(entry => (Array.isArray(entry) ? entry[0] : entry));
+  const manifestLabel = 'Release manifest (SHA-256 checksums)';
+
+  try {
+    const config = buildSemanticReleaseConfig({
+      configFiles: false,
+      environment: 'ci',
+      releaseAssets: ['dist/*.zip', { path: 'dist/app.js', label: 'App', name: 'app.js' }],
+      releaseManifest: true
+    });
+    const names = pluginNames(config);
+    const githubIndex = names.indexOf('@semantic-release/github');
+    const githubAssets = [
+      { path: 'dist/*.zip' },
+      { path: 'dist/app.js', label: 'App', name: 'app.js' },
+      { path: 'release-manifest.json', label: manifestLabel }
+    ];
+
+    if (JSON.stringify(config.plugins[githubIndex][1].assets) !== JSON.stringify(githubAssets)) {
+      throw new Error(`Unexpected github assets: ${JSON.stringify(config.plugins[githubIndex][1].assets)}`);
+    }
+    if (names[githubIndex - 1] !== path.join(__dirname, 'release-manifest.js') ||
+      JSON.stringify(config.plugins[githubIndex - 1][1]) !== JSON.stringify({ assets: githubAssets, manifestPath: 'release-manifest.json' })) {
+      throw new Error(`Manifest plugin should run right before github: ${names.join(', ')}`);
+    }
+
+    // Workspace assets are relative to the package directory
+    fs.writeFileSync(path.join(projectDir, 'package.json'), JSON.stringify({ name: 'root', workspaces: ['packages/*'] }), 'utf8');
+    fs.mkdirSync(path.join(projectDir, 'packages/a'), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'packages/a/package.json'), JSON.stringify({ name: '@acme/a' }), 'utf8');
+    const workspaceConfig = buildSemanticReleaseConfig({
+      configFiles: false,
+      environment: 'ci',
+      projectPath: projectDir,
+      workspace: '@acme/a',
+      releaseAssets: ['dist/*.zip', { path: 'dist/app.js', label: 'App' }],
+      releaseManifest: 'checksums.json'
+    });
+    const workspaceGithub = workspaceConfig.plugins.find(entry => entry[0] === '@semantic-release/github');
+    if (JSON.stringify(workspaceGithub[1].assets.map(asset => asset.path)) !==
+      '["packages/a/dist/*.zip","packages/a/dist/app.js","packages/a/checksums.json"]') {
+      throw new Error(`Workspace assets are not in the package directory: ${JSON.stringify(workspaceGithub[1].assets)}`);
+    }
+    console.log('✅ releaseAssets reach the github plugin and the manifest plugin runs right before it');
+
+    const fixtures = { 'dist/a.zip': 'first archive', 'dist/b.zip': 'second', 'dist/app.js': 'console.log(1);\n' };
+    fs.mkdirSync(path.join(projectDir, 'dist'));
+    Object.entries(fixtures).forEach(([file, content]) => fs.writeFileSync(path.join(projectDir, file), content, 'utf8'));
+    // A manifest left over from an earlier run must not list itself
+    fs.writeFileSync(path.join(projectDir, 'dist/release-manifest.json'), '{}\n', 'utf8');
+
+    const warnings = [];
+    await manifestPlugin.publish({
+      assets: [
+        { path: 'dist/*.zip', name: 'bundle.zip' },
+        { path: 'dist/app.js', name: 'app-2.1.0.js' },
+        'dist/*.json',
+        'missing/*.txt',
+        { path: 'dist/release-manifest.json', label: manifestLabel }
+      ],
+      manifestPath: 'dist/release-manifest.json'
+    }, {
+      ...mockContext,
+      cwd: projectDir,
+      nextRelease: { version: '2.1.0', gitTag: 'v2.1.0', gitHead: 'abc123' },
+      logger: { log: () => {}, warn: message => warnings.push(message) }
+    });
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(projectDir, 'dist/release-manifest.json'), 'utf8'));
+    const describe = (name, file) => ({
+      name,
+      path: file,
+      size: Buffer.byteLength(fixtures[file]),
+      sha256: crypto.createHash('sha256').update(fixtures[file]).digest('hex')
+    });
+    const expected = {
+      version: '2.1.0',
+      gitTag: 'v2.1.0',
+      gitHead: 'abc123',
+      // The name override only applies to a single match
+      assets: [describe('a.zip', 'dist/a.zip'), describe('b.zip', 'dist/b.zip'), describe('app-2.1.0.js', 'dist/app.js')]
+    };
+    // dist/*.json only matches the manifest, which leaves itself out
+    if (JSON.stringify(manifest) !== JSON.stringify(expected)) {
+      throw new Error(`Unexpected manifest: ${JSON.stringify(manifest, null, 2)}`);
+    }
+    if (JSON.stringify(warnings) !== '["Release asset \\"missing/*.txt\\" did not match any file"]') {
+      throw new Error(`Unexpected warnings: ${JSON.stringify(warnings)}`);
+    }
+    console.log('✅ The manifest lists size and SHA-256 of every asset and warns about unmatched ones');
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+async function testDetectNextRelease() {
+  console.log('\n🧪 Testing next release detection...');
+
+  const { execFileSync } = require('child_process');
+  const { buildSemanticReleaseConfig, detectNextRelease, validateConfig } = require('./index.js');
+  const projectDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'release-config-next-'));
+  const git = args => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: projectDir, encoding: 'utf8', stdio: 'pipe' });
+  const commit = (file, content, message) => {
+    fs.writeFileSync(path.join(projectDir, file), content, 'utf8');
+    git(['add', file]);
+    git(['commit', '--quiet', '-m', message]);
+  };
+
+  try {
+    git(['init', '--quiet']);
+    commit('VERSION.txt', 'VERSION=1.2.3\n', 'feat: first release');
+    git(['tag', 'v1.2.3']);
+    const tagHead = git(['rev-parse', 'HEAD']).trim();
+    commit('a.txt', 'fixed\n', 'fix: handle empty files');
+    const head = git(['rev-parse', 'HEAD']).trim();
+
+    const config = buildSemanticReleaseConfig({
+      configFiles: false,
+      environment: 'ci',
+      versionFiles: [{ path: 'VERSION.txt', pattern: /VERSION=.*/, replacement: 'VERSION={version}' }]
+    });
+    const release = await detectNextRelease(config, { cwd: projectDir });
+    const expected = {
+      nextRelease: { version: '1.2.4', gitTag: 'v1.2.4', gitHead: head },
+      lastRelease: { version: '1.2.3', gitTag: 'v1.2.3', gitHead: tagHead },
+      releaseType: 'patch'
+    };
+    if (JSON.stringify(release) !== JSON.stringify(expected)) {
+      throw new Error(`Unexpected next release: ${JSON.stringify(release)}`);
+    }
+
+    const result = validateConfig(config, { cwd: projectDir, ...release });
+    if (!result.isValid || !result.suggestions.includes('update-version plugin #1, file #1: dry-run successful - 1 match(es) would be replaced in VERSION.txt (version 1.2.4)')) {
+      throw new Error(`Dry run did not use the detected version: ${JSON.stringify(result)}`);
+    }
+    if (fs.readFileSync(path.join(projectDir, 'VERSION.txt'), 'utf8') !== 'VERSION=1.2.3\n') {
+      throw new Error('The dry run must not write files');
+    }
+    console.log('✅ detectNextRelease finds the next version and validateConfig previews with it');
+
+    // Kept out of the repository so the commits above stay the only changes
+    const configPath = path.join(require('os').tmpdir(), `${path.basename(projectDir)}.config.js`);
+    fs.writeFileSync(configPath, [
+      `const { buildSemanticReleaseConfig } = require(${JSON.stringify(path.join(__dirname, 'index.js'))});`,
+      'module.exports = buildSemanticReleaseConfig({',
+      '  configFiles: false,',
+      "  versionFiles: [{ path: 'VERSION.txt', pattern: /VERSION=.*/, replacement: 'VERSION={version}' }]",
+      '});',
+      ''
+    ].join('\n'), 'utf8');
+    try {
+      const output = execFileSync('node', [path.join(__dirname, 'validate-config.js'), configPath, '--next-version', 'auto'], {
+        cwd: projectDir,
+        encoding: 'utf8'
+      });
+      if (!output.includes('Next release: 1.2.4 (patch, last release: 1.2.3)') || !output.includes('(version 1.2.4)')) {
+        throw new Error(`validate-config --next-version auto did not use the detected version:\n${output}`);
+      }
+    } finally {
+      fs.rmSync(configPath, { force: true });
+    }
+    console.log('✅ validate-config --next-version auto previews with the detected version');
+
+    git(['tag', 'v1.2.4']);
+    const upToDate = await detectNextRelease(config, { cwd: projectDir });
+    if (upToDate.nextRelease !== null || upToDate.lastRelease.version !== '1.2.4') {
+      throw new Error(`No release expected after the last tag: ${JSON.stringify(upToDate)}`);
+    }
+    console.log('✅ No next release without new relevant commits');
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
+async function testExportReleaseConfig() {
+  console.log('\n🧪 Testing .releaserc.json export...');
+
+  const { execFileSync } = require('child_process');
+  const { buildSemanticReleaseConfig, exportReleaseConfig } = require('./index.js');
+  const projectDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'release-config-export-'));
+  const pluginPath = path.join(projectDir, 'plugins', 'deploy.js');
+
+  try {
+    const config = buildSemanticReleaseConfig({ configFiles: false, environment: 'ci' });
+    config.plugins.push([pluginPath, { target: 'staging' }]);
+
+    const preview = exportReleaseConfig(config, { cwd: projectDir, output: 'custom.json', write: false });
+    if (preview.file !== path.join(projectDir, 'custom.json') || fs.existsSync(preview.file)) {
+      throw new Error(`write: false should not write ${preview.file}`);
+    }
+    const { file, content } = exportReleaseConfig(config, { cwd: projectDir, output: 'custom.json' });
+    if (fs.readFileSync(file, 'utf8') !== content || content !== preview.content) {
+      throw new Error(`Unexpected exported file:\n${fs.readFileSync(file, 'utf8')}`);
+    }
+    const exported = JSON.parse(content);
+    if (JSON.stringify(exported.plugins[exported.plugins.length - 1]) !== '["./plugins/deploy.js",{"target":"staging"}]') {
+      throw new Error(`Local plugin path is not relative to the project: ${JSON.stringify(exported.plugins)}`);
+    }
+    console.log('✅ The snapshot is written to output (not with write: false), local plugins relative to the project');
+
+    const rejected = [
+      [buildSemanticReleaseConfig({ configFiles: false, environment: 'local' }), 'The config was built as a local dry run'],
+      [buildSemanticReleaseConfig({ configFiles: false, environment: 'ci', onPrepare: async () => {} }),
+        'is a function and cannot be written to a static config']
+    ];
+    rejected.forEach(([rejectedConfig, expected]) => {
+      let message = '';
+      try {
+        exportReleaseConfig(rejectedConfig, { cwd: projectDir, output: 'rejected.json' });
+      } catch (error) {
+        message = error.message;
+      }
+      if (!message.includes(expected) || fs.existsSync(path.join(projectDir, 'rejected.json'))) {
+        throw new Error(`Expected "${expected}", got "${message}"`);
+      }
+    });
+    console.log('✅ Local dry-run configs and inline callbacks are rejected');
+
+    // A laptop: no CI variables and no RELEASE_DRY_RUN, so the config alone would be a local dry run
+    const env = { ...process.env, CI: 'false' };
+    ['RELEASE_DRY_RUN', 'GITHUB_ACTIONS', 'GITLAB_CI', 'CIRCLECI', 'TRAVIS', 'BUILDKITE', 'JENKINS_URL', 'TF_BUILD',
+      'BITBUCKET_BUILD_NUMBER', 'DRONE'].forEach(name => delete env[name]);
+    fs.writeFileSync(path.join(projectDir, 'release.config.js'), [
+      `const { buildSemanticReleaseConfig } = require(${JSON.stringify(path.join(__dirname, 'index.js'))});`,
+      'module.exports = buildSemanticReleaseConfig({ configFiles: false });',
+      ''
+    ].join('\n'), 'utf8');
+
+    const output = execFileSync('node', [path.join(__dirname, 'export-release-config.js'), '--stdout'], {
+      cwd: projectDir,
+      env,
+      encoding: 'utf8'
+    });
+    const names = JSON.parse(output).plugins.map(entry => (Array.isArray(entry) ? entry[0] : entry));
+    if (JSON.parse(output).dryRun || !names.includes('@semantic-release/git') || !names.includes('@semantic-release/github') ||
+      fs.existsSync(path.join(projectDir, '.releaserc.json'))) {
+      throw new Error(`The CLI did not export the CI config:\n${output}`);
+    }
+    console.log('✅ The CLI exports the full CI config outside CI');
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}
+
 async function runAllTests() {
   await runTest();
   await testErrorCases();
+  await testStructuredFormat();
+  await testPlaceholders();
+  await testAtomicUpdates();
+  await testVerifySteps();
+  await testGlobsAndExpectations();
+  await testSnapshotRegexForm();
+  await testWebhookNotifications();
+  await testCommitConvention();
+  await testWorkflowYaml();
+  await testPackageManagerDetection();
+  await testNodeVersionDetection();
+  await testWorkflowTestMatrix();
+  await testPullRequestPreview();
+  await testWorkspaces();
+  await testVersionFilesConfig();
+  await testCommitConventionOptions();
+  await testProfiles();
+  await testPluginPlacement();
+  await testBranchStrategy();
+  await testValidateCli();
+  await testLocalDryRun();
+  await testNotificationSecrets();
+  await testChangelogOptions();
+  await testConfigLayers();
+  await testLifecycleCallbacks();
+  await testReleaseAssets();
+  await testDetectNextRelease();
+  await testExportReleaseConfig();
   console.log('\n🏆 All tests completed successfully!');
 }
 
@@ -1,128 +1,80 @@
-const fs = require('fs');
 const path = require('path');
+const {
+  PREVIEW_RELEASE,
+  stageUpdates,
+  writeStagedFiles,
+  formatDiff
+} = require('./version-engine.js');
 
 /**
  * Versatile semantic-release plugin to update version and datetime in any files
  * using configurable regex patterns.
+ *
+ * - verifyConditions: fails the run early when a pattern/key does not match
+ * - verifyRelease: logs a preview diff of what prepare will change for the next release
+ *
+ * Both verify steps only warn about missing files: a build step or an earlier prepare plugin
+ * may create them (e.g. dist/version.js). prepare fails if they are still missing.
+ * - prepare: writes all files atomically
  */
 module.exports = {
-  prepare: async (pluginConfig, context) => {
-    const { nextRelease, logger, cwd } = context;
-    const version = nextRelease.version;
+  verifyConditions: async (pluginConfig, context) => {
+    const { logger } = context;
+    const { results } = stageOrThrow(pluginConfig, context, { nextRelease: PREVIEW_RELEASE, allowMissing: true }, 'is misconfigured');
+
+    logger.log(`✅ update-version configuration verified (${results.length} file entries)`);
+  },
 
-    // Default datetime format (ISO UTC)
-    const datetimeFormat = pluginConfig.datetimeFormat || 'iso';
-    const datetime = getFormattedDatetime(datetimeFormat);
+  verifyRelease: async (pluginConfig, context) => {
+    const { logger } = context;
+    const { values, staged } = stageOrThrow(pluginConfig, context, { ...releaseOf(context), allowMissing: true }, 'cannot apply the next release');
 
-    // Validate configuration
-    if (!pluginConfig.files || !Array.isArray(pluginConfig.files)) {
-      throw new Error('update-version plugin requires "files" array in configuration');
-    }
+    logger.log(`update-version will apply these changes for ${values.version}:`);
+    staged.forEach((entry, fullPath) => {
+      const relativePath = path.relative(context.cwd || process.cwd(), fullPath);
+      logger.log(`--- ${relativePath}\n${formatDiff(entry.original, entry.content)}`);
+    });
+  },
 
-    const results = [];
+  prepare: async (pluginConfig, context) => {
+    const { logger } = context;
 
-    for (const fileConfig of pluginConfig.files) {
-      try {
-        const result = await updateFile(fileConfig, version, datetime, cwd, logger);
-        results.push(result);
-      } catch (error) {
-        logger.error(`Failed to update file ${fileConfig.path}:`, error.message);
-        throw error;
-      }
-    }
+    // Stage every file in memory first so a failing pattern never leaves the tree half-updated
+    const { values, staged, results } = stageOrThrow(pluginConfig, context, releaseOf(context), 'could not update', 'no files were changed');
+
+    writeStagedFiles(staged, logger);
 
     // Log summary
     logger.log('✅ Version update completed successfully:');
-    logger.log(`  VERSION: ${version}`);
-    logger.log(`  DATETIME: ${datetime}`);
+    logger.log(`  VERSION: ${values.version}`);
+    logger.log(`  DATETIME: ${values.datetime}`);
     results.forEach(result => {
-      logger.log(`  Updated: ${result.path} (${result.replacements} replacements)`);
+      logger.log(`  Updated: ${result.path} (${result.replacements} matches replaced)`);
     });
   }
 };
 
-async function updateFile(fileConfig, version, datetime, cwd, logger) {
-  const { path: filePath, patterns, pattern, replacement } = fileConfig;
-
-  if (!filePath) {
-    throw new Error('File configuration must include "path"');
-  }
-
-  // Support both formats:
-  // 1. New format: { path, patterns: [{ regex, replacement }] }
-  // 2. Simple format: { path, pattern, replacement } (from JSDoc)
-  let patternsToProcess = [];
-
-  if (patterns && Array.isArray(patterns)) {
-    // New format with patterns array
-    patternsToProcess = patterns;
-  } else if (pattern && replacement) {
-    // Simple format from JSDoc - convert to new format
-    patternsToProcess = [{
-      regex: pattern,
-      replacement: replacement
-    }];
-  } else {
-    throw new Error(`File ${filePath} must include either "patterns" array or "pattern" and "replacement" properties`);
-  }
-
-  const fullPath = path.resolve(cwd || process.cwd(), filePath);
-
-  // Check if file exists
-  if (!fs.existsSync(fullPath)) {
-    throw new Error(`File not found: ${fullPath}`);
-  }
-
-  let content = fs.readFileSync(fullPath, 'utf8');
-  let replacements = 0;
-
-  for (const patternObj of patternsToProcess) {
-    const { regex, replacement: repl } = patternObj;
-
-    if (!regex || !repl) {
-      throw new Error(`Pattern must include both "regex" and "replacement" for file ${filePath}`);
-    }
-
-    // Convert string regex to RegExp if needed
-    const regexObj = typeof regex === 'string' ? new RegExp(regex, 'g') : regex;
-
-    // Replace variables in replacement string
-    const finalReplacement = repl
-      .replace(/\{version\}/g, version)
-      .replace(/\{datetime\}/g, datetime)
-      // Also support ${version} and ${date} for backward compatibility
-      .replace(/\$\{version\}/g, version)
-      .replace(/\$\{date\}/g, datetime);
+/**
+ * Stages every file entry and throws a single error listing all failures.
+ */
+function stageOrThrow(pluginConfig, context, release, action, note) {
+  const { logger, cwd } = context;
+  const stage = stageUpdates(pluginConfig, { cwd, ...release });
 
-    const originalContent = content;
-    content = content.replace(regexObj, finalReplacement);
+  stage.warnings.forEach(warning => logger.log(`⚠️  ${warning}`));
 
-    if (content !== originalContent) {
-      replacements++;
-    } else {
-      throw new Error(`Pattern did not match any content in ${filePath}: ${regexObj}`);
-    }
+  if (stage.failures.length > 0) {
+    stage.failures.forEach(failure => logger.error(`Failed to update file ${failure}`));
+    throw new Error(`update-version ${action} ${stage.failures.length} target(s)${note ? `, ${note}` : ''}:\n` +
+      stage.failures.map(failure => `  - ${failure}`).join('\n'));
   }
 
-  fs.writeFileSync(fullPath, content, 'utf8');
+  return stage;
+}
 
+function releaseOf(context) {
   return {
-    path: filePath,
-    replacements
+    nextRelease: context.nextRelease,
+    lastRelease: context.lastRelease || {}
   };
 }
-
-function getFormattedDatetime(format) {
-  const now = new Date();
-
-  switch (format) {
-    case 'iso':
-    default:
-      return now.toISOString();
-    case 'unix':
-      return Math.floor(now.getTime() / 1000).toString();
-    case 'custom':
-      // Could be extended for custom formats
-      return now.toISOString();
-  }
-}
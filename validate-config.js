@@ -2,12 +2,18 @@
 
 /**
  * CLI tool to validate semantic-release configuration
- * Usage: node validate-config.js [config-file-path]
+ * Usage: node validate-config.js [config-file-path] [--next-version <version|auto>]
  */
 
 const path = require('path');
 const fs = require('fs');
-const { validateConfig } = require('./index.js');
+
+// Validate the full CI setup, not the local dry run, so the git assets are checked too
+if (process.env.RELEASE_DRY_RUN === undefined) {
+  process.env.RELEASE_DRY_RUN = 'false';
+}
+
+const { validateConfig, detectNextRelease } = require('./index.js');
 
 // ANSI color codes
 const colors = {
@@ -74,17 +80,63 @@ function printResult(result, configPath) {
   console.log(`  • GitHub Plugin: ${result.summary.hasGitHubPlugin ? '✅' : '❌'}`);
 }
 
-function main() {
+function parseArgs(argv) {
+  const args = { configPath: './release.config.js', nextVersion: null };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--next-version') {
+      args.nextVersion = argv[++i];
+    } else if (argv[i].startsWith('--next-version=')) {
+      args.nextVersion = argv[i].slice('--next-version='.length);
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  if (positional[0]) {
+    args.configPath = positional[0];
+  }
+
+  return args;
+}
+
+/**
+ * Resolves the release used for the update-version dry-run.
+ * "auto" computes the real next version from git tags and commits.
+ */
+async function resolveReleaseOptions(config, nextVersion) {
+  if (!nextVersion) {
+    return {};
+  }
+
+  if (nextVersion !== 'auto') {
+    const gitTag = (config.tagFormat || 'v${version}').replace('${version}', nextVersion);
+    return { nextRelease: { version: nextVersion, gitTag } };
+  }
+
+  const release = await detectNextRelease(config);
+
+  if (!release.nextRelease) {
+    console.log(colorize('\nℹ️  No release would be triggered by the current commits, using the preview version for the dry-run', 'yellow'));
+    return {};
+  }
+
+  console.log(colorize(`\n🔮 Next release: ${release.nextRelease.version} (${release.releaseType}, last release: ${release.lastRelease.version || 'none'})`, 'cyan'));
+  return { nextRelease: release.nextRelease, lastRelease: release.lastRelease };
+}
+
+async function main() {
   printHeader();
 
   // Get config file path from command line or use default
-  const configPath = process.argv[2] || './release.config.js';
+  const { configPath, nextVersion } = parseArgs(process.argv.slice(2));
   const fullPath = path.resolve(configPath);
 
   // Check if file exists
   if (!fs.existsSync(fullPath)) {
     console.log(colorize(`\n❌ Configuration file not found: ${fullPath}`, 'red'));
-    console.log(colorize('\nUsage: node validate-config.js [config-file-path]', 'yellow'));
+    console.log(colorize('\nUsage: node validate-config.js [config-file-path] [--next-version <version|auto>]', 'yellow'));
     console.log(colorize('Example: node validate-config.js ./release.config.js', 'yellow'));
     process.exit(1);
   }
@@ -94,9 +146,11 @@ function main() {
     console.log(colorize(`\n📂 Loading configuration from: ${fullPath}`, 'cyan'));
     
     const config = require(fullPath);
-    const result = validateConfig(config, { 
-      verbose: true, 
-      checkPlugins: true 
+    const releaseOptions = await resolveReleaseOptions(config, nextVersion);
+    const result = validateConfig(config, {
+      verbose: true,
+      checkPlugins: true,
+      ...releaseOptions
     });
 
     printResult(result, configPath);
@@ -0,0 +1,294 @@
+/**
+ * Structured version-file adapters for the update-version plugin.
+ *
+ * Each adapter sets a single key (e.g. "version" or "project.version") by editing only
+ * the characters of the existing value, so indentation, key order, comments and
+ * quoting style of the file are left untouched.
+ */
+
+const { isPlainSafe } = require('./workflow-yaml.js');
+
+const EXTENSION_TYPES = {
+  '.json': 'json',
+  '.toml': 'toml',
+  '.yaml': 'yaml',
+  '.yml': 'yaml'
+};
+
+const adapters = {
+  json: setJsonValue,
+  toml: setTomlValue,
+  yaml: setYamlValue
+};
+
+/**
+ * Resolves the adapter type for a file entry, falling back to the file extension.
+ *
+ * @param {Object} fileConfig - File entry ({ path, type, key })
+ * @returns {string|null} Adapter type or null if none applies
+ */
+function resolveAdapterType(fileConfig) {
+  if (fileConfig.type) {
+    return fileConfig.type;
+  }
+
+  const match = /\.[^./\\]+$/.exec(fileConfig.path || '');
+  return match ? EXTENSION_TYPES[match[0].toLowerCase()] || null : null;
+}
+
+/**
+ * Sets a key in a structured file's content.
+ *
+ * @param {string} content - Original file content
+ * @param {string} type - Adapter type ('json', 'toml' or 'yaml')
+ * @param {string} key - Dotted key path (e.g. 'version', 'project.version', 'image.tag')
+ * @param {string} value - New value
+ * @returns {{ content: string, previous: string }} Updated content and the value it replaced
+ */
+function setStructuredValue(content, type, key, value) {
+  const adapter = adapters[type];
+
+  if (!adapter) {
+    throw new Error(`Unsupported file type "${type}" (supported: ${Object.keys(adapters).join(', ')})`);
+  }
+
+  if (!key || typeof key !== 'string') {
+    throw new Error(`A "key" path is required for ${type} files`);
+  }
+
+  const result = adapter(content, splitKeyPath(key), value);
+
+  if (!result) {
+    throw new Error(`Key "${key}" not found`);
+  }
+
+  return result;
+}
+
+function splitKeyPath(key) {
+  return key.split('.').map(segment => segment.trim()).filter(Boolean);
+}
+
+function spliceValue(content, start, end, replacement) {
+  return {
+    content: content.slice(0, start) + replacement + content.slice(end),
+    previous: content.slice(start, end)
+  };
+}
+
+// ---------------------------------------------------------------------------
+// JSON (package.json, composer.json, manifest.json, ...)
+// ---------------------------------------------------------------------------
+
+function setJsonValue(content, segments, value) {
+  const root = parseJsonNode(content, skipJsonWhitespace(content, 0));
+  let node = root.node;
+
+  for (const segment of segments) {
+    if (node.type === 'object' && node.entries.has(segment)) {
+      node = node.entries.get(segment);
+    } else if (node.type === 'array' && /^\d+$/.test(segment) && node.items[Number(segment)]) {
+      node = node.items[Number(segment)];
+    } else {
+      return null;
+    }
+  }
+
+  return spliceValue(content, node.start, node.end, JSON.stringify(value));
+}
+
+function skipJsonWhitespace(text, index) {
+  while (index < text.length && (/\s/.test(text[index]) || text[index] === '\uFEFF')) index++;
+  return index;
+}
+
+function parseJsonString(text, index) {
+  let i = index + 1;
+  while (i < text.length && text[i] !== '"') {
+    i += text[i] === '\\' ? 2 : 1;
+  }
+  if (i >= text.length) {
+    throw new Error(`Unterminated JSON string at position ${index}`);
+  }
+  return { value: JSON.parse(text.slice(index, i + 1)), end: i + 1 };
+}
+
+function parseJsonNode(text, index) {
+  const start = index;
+  const char = text[index];
+
+  if (char === '{') {
+    const entries = new Map();
+    let i = skipJsonWhitespace(text, index + 1);
+
+    while (text[i] !== '}') {
+      if (text[i] !== '"') {
+        throw new Error(`Invalid JSON: expected property name at position ${i}`);
+      }
+      const keyToken = parseJsonString(text, i);
+      i = skipJsonWhitespace(text, keyToken.end);
+      if (text[i] !== ':') {
+        throw new Error(`Invalid JSON: expected ":" at position ${i}`);
+      }
+      const child = parseJsonNode(text, skipJsonWhitespace(text, i + 1));
+      entries.set(keyToken.value, child.node);
+      i = skipJsonWhitespace(text, child.end);
+      if (text[i] === ',') i = skipJsonWhitespace(text, i + 1);
+      else if (text[i] !== '}') throw new Error(`Invalid JSON: expected "," or "}" at position ${i}`);
+    }
+
+    return { node: { type: 'object', start, end: i + 1, entries }, end: i + 1 };
+  }
+
+  if (char === '[') {
+    const items = [];
+    let i = skipJsonWhitespace(text, index + 1);
+
+    while (text[i] !== ']') {
+      const child = parseJsonNode(text, i);
+      items.push(child.node);
+      i = skipJsonWhitespace(text, child.end);
+      if (text[i] === ',') i = skipJsonWhitespace(text, i + 1);
+      else if (text[i] !== ']') throw new Error(`Invalid JSON: expected "," or "]" at position ${i}`);
+    }
+
+    return { node: { type: 'array', start, end: i + 1, items }, end: i + 1 };
+  }
+
+  if (char === '"') {
+    const token = parseJsonString(text, index);
+    return { node: { type: 'value', start, end: token.end }, end: token.end };
+  }
+
+  // Numbers, true, false, null
+  let i = index;
+  while (i < text.length && !/[\s,\]}]/.test(text[i])) i++;
+  if (i === index) {
+    throw new Error(`Invalid JSON: unexpected end of input at position ${index}`);
+  }
+  return { node: { type: 'value', start, end: i }, end: i };
+}
+
+// ---------------------------------------------------------------------------
+// TOML (pyproject.toml, Cargo.toml, ...)
+// ---------------------------------------------------------------------------
+
+function splitTomlKey(raw) {
+  return (raw.match(/"[^"]*"|'[^']*'|[^.]+/g) || [])
+    .map(part => part.trim().replace(/^["']|["']$/g, ''))
+    .filter(Boolean);
+}
+
+function setTomlValue(content, segments, value) {
+  const target = segments.join('.');
+  const lineRegex = /[^\n]*\n?/g;
+  let table = [];
+  let offset = 0;
+  let match;
+
+  while ((match = lineRegex.exec(content)) && match[0].length > 0) {
+    const line = match[0];
+    const lineStart = offset;
+    offset += line.length;
+
+    const header = /^\s*\[\s*([^\[\]]+?)\s*\]\s*(#.*)?$/.exec(line.replace(/\r?\n$/, ''));
+    if (header) {
+      table = splitTomlKey(header[1]);
+      continue;
+    }
+    if (/^\s*\[\[/.test(line)) {
+      // Arrays of tables cannot be addressed by a dotted key path
+      table = [null];
+      continue;
+    }
+
+    const assignment = /^(\s*)((?:"[^"]*"|'[^']*'|[A-Za-z0-9_\-. ])+?)\s*=\s*/.exec(line);
+    if (!assignment) continue;
+
+    const fullKey = table.concat(splitTomlKey(assignment[2])).join('.');
+    if (fullKey !== target) continue;
+
+    const valueStart = lineStart + assignment[0].length;
+    const quote = content[valueStart];
+
+    if (quote === '"' || quote === "'") {
+      const closing = content.indexOf(quote, valueStart + 1);
+      // Literal strings have no escapes, so a value with a quote or line break becomes a basic string
+      const literal = quote === "'" && !/['\r\n]/.test(value);
+      const replacement = literal ? `'${value}'` : JSON.stringify(value);
+      return spliceValue(content, valueStart, closing + 1, replacement);
+    }
+
+    const bare = /^[^\s#]+/.exec(content.slice(valueStart));
+    return spliceValue(content, valueStart, valueStart + (bare ? bare[0].length : 0), JSON.stringify(value));
+  }
+
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// YAML (Chart.yaml, pubspec.yaml, ...)
+// ---------------------------------------------------------------------------
+
+const YAML_NUMBER_PATTERN = /^\d+$/;
+
+function setYamlValue(content, segments, value) {
+  const target = segments.join('.');
+  const lineRegex = /[^\n]*\n?/g;
+  const stack = [];
+  let offset = 0;
+  let match;
+
+  while ((match = lineRegex.exec(content)) && match[0].length > 0) {
+    const line = match[0];
+    const lineStart = offset;
+    offset += line.length;
+
+    if (/^\s*(#.*)?\r?\n?$/.test(line)) continue;
+    if (/^(---|\.\.\.)\s*$/.test(line.replace(/\r?\n$/, ''))) {
+      stack.length = 0;
+      continue;
+    }
+
+    const entry = /^(\s*)("[^"]*"|'[^']*'|[^\s#'"\-][^:#]*?)\s*:(?=\s|$)[ \t]*/.exec(line);
+    if (!entry) continue;
+
+    const indent = entry[1].length;
+    while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+
+    const key = entry[2].replace(/^["']|["']$/g, '');
+    const fullKey = stack.map(item => item.key).concat(key).join('.');
+    stack.push({ indent, key });
+
+    if (fullKey !== target) continue;
+
+    const valueStart = lineStart + entry[0].length;
+    const rest = line.slice(entry[0].length).replace(/\r?\n$/, '');
+    if (!rest || rest.startsWith('#')) {
+      // Mapping parent, not a scalar value
+      return null;
+    }
+
+    const quote = rest[0];
+    if (quote === '"' || quote === "'") {
+      const closing = content.indexOf(quote, valueStart + 1);
+      const replacement = quote === '"' ? JSON.stringify(value) : `'${value.replace(/'/g, "''")}'`;
+      return spliceValue(content, valueStart, closing + 1, replacement);
+    }
+
+    const scalar = /^(.*?)(\s+#.*)?$/.exec(rest)[1].replace(/\s+$/, '');
+    // A number may replace a plain number (e.g. a build number), anything else YAML would not
+    // read back as the same string is double-quoted
+    const keepsNumber = YAML_NUMBER_PATTERN.test(scalar) && YAML_NUMBER_PATTERN.test(value);
+    const replacement = isPlainSafe(value) || keepsNumber ? value : JSON.stringify(value);
+    return spliceValue(content, valueStart, valueStart + scalar.length, replacement);
+  }
+
+  return null;
+}
+
+module.exports = {
+  resolveAdapterType,
+  setStructuredValue,
+  supportedTypes: Object.keys(adapters)
+};
@@ -0,0 +1,373 @@
+/**
+ * Shared engine behind the update-version plugin and validateConfig's dry-run.
+ *
+ * Both stage replacements in memory with exactly the same rules (regex handling,
+ * placeholders, match counts, structured adapters), so a configuration that passes
+ * validation behaves the same way at release time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveAdapterType, setStructuredValue } = require('./version-adapters.js');
+const { placeholdersFromContext, applyPlaceholders } = require('./placeholders.js');
+const { isGlob, expandGlob } = require('./glob.js');
+
+// Release used to check patterns before the real next version is known
+const PREVIEW_RELEASE = {
+  version: '1.2.3',
+  gitTag: 'v1.2.3',
+  gitHead: '0000000000000000000000000000000000000000'
+};
+
+const PREVIEW_LAST_RELEASE = {
+  version: '1.2.2'
+};
+
+const UNREPLACED_PLACEHOLDER = /\{(version|major|minor|patch|prerelease|channel|gitTag|gitHead|previousVersion|buildNumber|datetime)(:[^}]*)?\}/;
+
+/**
+ * Stages every file entry of an update-version configuration without touching the disk.
+ *
+ * @param {Object} pluginConfig - update-version plugin configuration ({ files, datetimeFormat, timezone, buildNumber })
+ * @param {Object} [context={}] - Release context
+ * @param {string} [context.cwd=process.cwd()] - Directory file paths are relative to
+ * @param {Object} [context.nextRelease=PREVIEW_RELEASE] - Release being prepared
+ * @param {Object} [context.lastRelease] - Previous release
+ * @param {Date} [context.now] - Date used for datetime placeholders
+ * @param {boolean} [context.allowMissing=false] - Report missing files and globs matching nothing as warnings,
+ *   for checks that run before a build or an earlier prepare plugin creates them
+ * @returns {Object} { values, staged, results, failures, warnings }
+ */
+function stageUpdates(pluginConfig, context = {}) {
+  const { cwd, nextRelease = PREVIEW_RELEASE, now, allowMissing = false } = context;
+  const lastRelease = context.lastRelease || (nextRelease === PREVIEW_RELEASE ? PREVIEW_LAST_RELEASE : {});
+
+  // Validate configuration
+  if (!pluginConfig || !pluginConfig.files || !Array.isArray(pluginConfig.files)) {
+    throw new Error('update-version plugin requires "files" array in configuration');
+  }
+
+  // Default datetime format (ISO UTC)
+  const values = placeholdersFromContext({ nextRelease, lastRelease }, {
+    datetimeFormat: pluginConfig.datetimeFormat || 'iso',
+    timezone: pluginConfig.timezone || 'UTC',
+    buildNumber: pluginConfig.buildNumber,
+    now
+  });
+
+  const staged = new Map();
+  const results = [];
+  const failures = [];
+  const warnings = [];
+
+  pluginConfig.files.forEach((fileConfig, fileIndex) => {
+    stageEntry(fileConfig, values, cwd, staged, allowMissing).forEach(result => {
+      result.fileIndex = fileIndex;
+      results.push(result);
+      failures.push(...result.failures);
+      warnings.push(...result.warnings);
+    });
+  });
+
+  return { values, staged, results, failures, warnings };
+}
+
+/**
+ * Converts a pattern regex to a RegExp.
+ *
+ * - RegExp objects are used as-is
+ * - { source, flags } objects (the JSON form used in .releaserc.json snapshots) keep their flags
+ * - "/source/flags" strings keep their own flags
+ * - any other string is compiled with the "g" flag
+ *
+ * @param {RegExp|Object|string} regex - Pattern regex
+ * @returns {RegExp} Compiled regular expression
+ */
+function toRegExp(regex) {
+  if (regex instanceof RegExp) {
+    return regex;
+  }
+
+  if (regex && typeof regex === 'object' && typeof regex.source === 'string') {
+    return new RegExp(regex.source, regex.flags || '');
+  }
+
+  if (typeof regex !== 'string') {
+    throw new Error('regex must be a RegExp, a { source, flags } object or a string');
+  }
+
+  const literal = /^\/([\s\S]+)\/([dgimsuy]*)$/.exec(regex);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(regex, 'g');
+}
+
+/**
+ * Expands a file entry (literal path or glob) and stages every matching file.
+ * Every problem is collected in `failures` instead of stopping at the first one.
+ */
+function stageEntry(fileConfig, values, cwd, staged, allowMissing) {
+  const { path: filePath, optional = false } = fileConfig;
+  const baseDir = cwd || process.cwd();
+
+  if (!filePath) {
+    return [{ path: '(missing path)', replacements: 0, failures: ['(missing path): File configuration must include "path"'], warnings: [] }];
+  }
+
+  if (!isGlob(filePath, baseDir)) {
+    const fullPath = path.resolve(baseDir, filePath);
+    if (!fs.existsSync(fullPath)) {
+      if (optional) {
+        return [];
+      }
+      if (allowMissing) {
+        return [{ path: filePath, replacements: 0, failures: [], warnings: [`${filePath}: File not found yet: ${fullPath}`] }];
+      }
+    }
+    return [stageFile(fileConfig, filePath, values, cwd, staged)];
+  }
+
+  const matches = expandGlob(filePath, baseDir);
+
+  if (matches.length === 0) {
+    if (optional) {
+      return [];
+    }
+    return allowMissing
+      ? [{ path: filePath, replacements: 0, failures: [], warnings: [`${filePath}: No files match the glob pattern yet`] }]
+      : [{ path: filePath, replacements: 0, failures: [`${filePath}: No files match the glob pattern`], warnings: [] }];
+  }
+
+  return matches.map(match => stageFile(fileConfig, match, values, cwd, staged));
+}
+
+/**
+ * Applies a file entry to the staged content of one target file, without touching the disk.
+ * `replacements` is the real number of matches replaced in that file.
+ */
+function stageFile(fileConfig, filePath, values, cwd, staged) {
+  const { patterns, pattern, replacement, key } = fileConfig;
+  const result = { path: filePath, replacements: 0, failures: [], warnings: [] };
+
+  const fullPath = path.resolve(cwd || process.cwd(), filePath);
+  const entry = readStaged(fullPath, staged);
+
+  if (!entry) {
+    result.failures.push(`${filePath}: File not found: ${fullPath}`);
+    return result;
+  }
+
+  // Structured format: { path, type, key, value } sets a single key in JSON/TOML/YAML files
+  if (key) {
+    const { value = '{version}' } = fileConfig;
+    const type = resolveAdapterType({ ...fileConfig, path: filePath });
+
+    if (!type) {
+      result.failures.push(`${filePath}: needs a "type" (json, toml or yaml) to update key "${key}"`);
+      return result;
+    }
+
+    try {
+      entry.content = setStructuredValue(entry.content, type, key, applyPlaceholders(value, values)).content;
+      result.replacements++;
+    } catch (error) {
+      if (!fileConfig.optional) {
+        result.failures.push(`${filePath}: ${error.message}`);
+      }
+    }
+
+    return result;
+  }
+
+  // Support both formats:
+  // 1. New format: { path, patterns: [{ regex, replacement, expect, optional }] }
+  // 2. Simple format: { path, pattern, replacement, expect } (from JSDoc)
+  let patternsToProcess = [];
+
+  if (patterns && Array.isArray(patterns)) {
+    // New format with patterns array
+    patternsToProcess = patterns;
+  } else if (pattern && replacement) {
+    // Simple format from JSDoc - convert to new format
+    patternsToProcess = [{
+      regex: pattern,
+      replacement: replacement,
+      expect: fileConfig.expect
+    }];
+  } else {
+    result.failures.push(`${filePath}: must include either "patterns" array or "pattern" and "replacement" properties`);
+    return result;
+  }
+
+  patternsToProcess.forEach((patternObj, patternIndex) => {
+    const { regex, replacement: repl } = patternObj;
+    const label = `${filePath} (pattern #${patternIndex + 1})`;
+
+    if (!regex || !repl) {
+      result.failures.push(`${label}: Pattern must include both "regex" and "replacement"`);
+      return;
+    }
+
+    let regexObj;
+    try {
+      regexObj = toRegExp(regex);
+    } catch (error) {
+      result.failures.push(`${label}: invalid regex - ${error.message}`);
+      return;
+    }
+
+    const matchCount = countMatches(entry.content, regexObj);
+    const expectError = checkExpectedMatches(matchCount, patternObj, fileConfig.optional);
+
+    if (expectError) {
+      result.failures.push(`${label}: ${expectError}: ${regexObj}`);
+      return;
+    }
+
+    // Replace variables in replacement string
+    const finalReplacement = applyPlaceholders(repl, values);
+
+    if (UNREPLACED_PLACEHOLDER.test(finalReplacement)) {
+      result.warnings.push(`${label}: replacement still contains unreplaced placeholders`);
+    }
+
+    const updated = entry.content.replace(regexObj, finalReplacement);
+
+    if (matchCount > 0 && updated === entry.content) {
+      result.warnings.push(`${label}: pattern matches but replacement produces no changes`);
+    }
+
+    entry.content = updated;
+    result.replacements += matchCount;
+  });
+
+  return result;
+}
+
+/**
+ * Number of matches String.replace will replace: all matches for global regexes, at most one otherwise.
+ */
+function countMatches(content, regex) {
+  if (regex.global) {
+    return Array.from(content.matchAll(regex)).length;
+  }
+  return content.search(regex) === -1 ? 0 : 1;
+}
+
+/**
+ * Checks a match count against a pattern's `expect` ({ exact } or { min, max }) and `optional` flag.
+ * Patterns must match at least once unless they (or their file entry) are optional.
+ *
+ * @returns {string|null} Error message or null when the count is acceptable
+ */
+function checkExpectedMatches(count, patternObj, fileOptional) {
+  const { expect = {}, optional = fileOptional || false } = patternObj;
+
+  if (expect.exact !== undefined) {
+    return count === expect.exact ? null : `Expected exactly ${expect.exact} match(es), found ${count}`;
+  }
+
+  const min = expect.min !== undefined ? expect.min : (optional ? 0 : 1);
+
+  if (count === 0 && min > 0) {
+    return 'Pattern did not match any content';
+  }
+  if (count < min) {
+    return `Expected at least ${min} match(es), found ${count}`;
+  }
+  if (expect.max !== undefined && count > expect.max) {
+    return `Expected at most ${expect.max} match(es), found ${count}`;
+  }
+
+  return null;
+}
+
+function readStaged(fullPath, staged) {
+  if (!staged.has(fullPath)) {
+    if (!fs.existsSync(fullPath)) {
+      return null;
+    }
+
+    const original = fs.readFileSync(fullPath, 'utf8');
+    staged.set(fullPath, { original, content: original });
+  }
+
+  return staged.get(fullPath);
+}
+
+/**
+ * Writes every staged file. If any write fails, files already written are restored
+ * to their original content before the error is rethrown.
+ */
+function writeStagedFiles(staged, logger) {
+  const written = [];
+
+  try {
+    staged.forEach((entry, fullPath) => {
+      if (entry.content === entry.original) return;
+      fs.writeFileSync(fullPath, entry.content, 'utf8');
+      written.push(fullPath);
+    });
+  } catch (error) {
+    const restoreErrors = [];
+
+    written.forEach(fullPath => {
+      try {
+        fs.writeFileSync(fullPath, staged.get(fullPath).original, 'utf8');
+      } catch (restoreError) {
+        restoreErrors.push(`${fullPath}: ${restoreError.message}`);
+      }
+    });
+
+    logger.error(`Write failed, restored ${written.length - restoreErrors.length} of ${written.length} file(s)`);
+
+    const restoreDetails = restoreErrors.length > 0
+      ? `\nCould not restore:\n${restoreErrors.map(detail => `  - ${detail}`).join('\n')}`
+      : '';
+    throw new Error(`update-version failed to write files: ${error.message}${restoreDetails}`);
+  }
+}
+
+/**
+ * Builds a compact line diff ("-" old, "+" new) between two versions of a file.
+ */
+function formatDiff(original, updated) {
+  if (original === updated) {
+    return '  (no changes)';
+  }
+
+  const before = original.split('\n');
+  const after = updated.split('\n');
+  const lines = [];
+
+  if (before.length === after.length) {
+    before.forEach((line, index) => {
+      if (line !== after[index]) {
+        lines.push(`@@ line ${index + 1} @@`, `- ${line}`, `+ ${after[index]}`);
+      }
+    });
+    return lines.join('\n');
+  }
+
+  // Multi-line replacements: show the changed block between the common prefix and suffix
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+
+  let endBefore = before.length - 1;
+  let endAfter = after.length - 1;
+  while (endBefore >= start && endAfter >= start && before[endBefore] === after[endAfter]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  lines.push(`@@ line ${start + 1} @@`);
+  before.slice(start, endBefore + 1).forEach(line => lines.push(`- ${line}`));
+  after.slice(start, endAfter + 1).forEach(line => lines.push(`+ ${line}`));
+  return lines.join('\n');
+}
+
+module.exports = {
+  PREVIEW_RELEASE,
+  stageUpdates,
+  toRegExp,
+  writeStagedFiles,
+  formatDiff
+};
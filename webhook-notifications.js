@@ -0,0 +1,205 @@
+const { placeholdersFromContext, applyPlaceholders } = require('./placeholders.js');
+
+/**
+ * semantic-release plugin posting release notifications to webhooks (Slack, Discord or plain JSON).
+ *
+ * - verifyConditions: warns about webhooks whose URL environment variable is not set
+ * - success: posts the version, notes and release link
+ * - fail: posts the errors
+ *
+ * Each request times out after `timeout` ms and is retried `retries` times on network errors,
+ * timeouts, 429 and 5xx responses. A notification that still fails is logged and does not fail
+ * the release unless `failOnError` is set.
+ */
+
+const DEFAULT_URL_ENV = 'RELEASE_WEBHOOK_URL';
+
+// Discord rejects messages over 2000 characters, Slack truncates long text
+const MAX_MESSAGE_LENGTH = { slack: 3500, discord: 1900 };
+
+const DEFAULT_TEMPLATES = {
+  slack: {
+    success: { text: ':rocket: Released {name} {version}\n{url}\n\n{notes}' },
+    fail: { text: ':x: Release of {name} failed\n{errors}' }
+  },
+  discord: {
+    success: { content: 'Released **{name} {version}**\n{url}\n\n{notes}' },
+    fail: { content: 'Release of **{name}** failed\n{errors}' }
+  },
+  json: {
+    success: { event: 'success', name: '{name}', version: '{version}', gitTag: '{gitTag}', url: '{url}', notes: '{notes}' },
+    fail: { event: 'fail', name: '{name}', errors: '{errors}' }
+  }
+};
+
+module.exports = {
+  verifyConditions: async (pluginConfig, context) => {
+    const { logger, env = process.env } = context;
+
+    resolveWebhooks(pluginConfig).forEach(webhook => {
+      if (!webhook.url && !env[webhook.urlEnv]) {
+        logger.warn(`Webhook notifications: ${webhook.urlEnv} is not set, this webhook will be skipped`);
+      }
+    });
+  },
+
+  success: async (pluginConfig, context) => notify('success', pluginConfig, context),
+
+  fail: async (pluginConfig, context) => notify('fail', pluginConfig, context)
+};
+
+/**
+ * Normalizes the webhook list of the plugin config.
+ *
+ * @param {Object} pluginConfig - { webhooks, url, urlEnv, format, events, template }
+ * @returns {Array<Object>} Webhooks as { url, urlEnv, format, events, template }
+ */
+function resolveWebhooks(pluginConfig) {
+  const config = pluginConfig || {};
+  const webhooks = Array.isArray(config.webhooks) ? config.webhooks : [config];
+
+  return webhooks.map(webhook => ({
+    url: webhook.url,
+    urlEnv: webhook.urlEnv || DEFAULT_URL_ENV,
+    format: webhook.format || 'auto',
+    events: webhook.events || ['success', 'fail'],
+    template: webhook.template || {}
+  }));
+}
+
+async function notify(event, pluginConfig, context) {
+  const { logger, env = process.env } = context;
+  const { retries = 2, retryDelay = 1000, timeout = 10000, failOnError = false } = pluginConfig || {};
+  const failures = [];
+
+  for (const webhook of resolveWebhooks(pluginConfig)) {
+    const url = webhook.url || env[webhook.urlEnv];
+    if (!url || !webhook.events.includes(event)) {
+      continue;
+    }
+
+    // Webhook URLs are secrets, only their host is logged
+    const urlEnv = webhook.urlEnv && !webhook.url ? webhook.urlEnv : '';
+    let target = urlEnv || 'webhook';
+
+    // Like a failed request, an invalid URL only fails the release with failOnError
+    try {
+      target = `${urlEnv ? `${urlEnv} ` : ''}(${new URL(url).host})`;
+      const format = webhook.format === 'auto' ? detectFormat(url) : webhook.format;
+      const payload = buildPayload(event, format, webhook.template[event], context);
+      const attempts = await postWithRetries(url, payload, { retries, retryDelay, timeout });
+      logger.log(`Sent ${event} notification to ${target}${attempts > 1 ? ` after ${attempts} attempts` : ''}`);
+    } catch (error) {
+      logger.error(`Failed to send ${event} notification to ${target}: ${error.message}`);
+      failures.push(`${target}: ${error.message}`);
+    }
+  }
+
+  if (failures.length > 0 && failOnError) {
+    throw new Error(`Webhook notifications failed:\n  - ${failures.join('\n  - ')}`);
+  }
+}
+
+function detectFormat(url) {
+  const { host } = new URL(url);
+
+  if (host === 'hooks.slack.com') return 'slack';
+  if (/(^|\.)discord(app)?\.com$/.test(host)) return 'discord';
+  return 'json';
+}
+
+/**
+ * Builds the JSON payload by replacing placeholders in every string of the template.
+ *
+ * Placeholders: those of the update-version plugin ({version}, {gitTag}, ...) plus
+ * {name}, {notes}, {url}, {errors} and {event}.
+ *
+ * @param {string} event - 'success' or 'fail'
+ * @param {string} format - 'slack', 'discord' or 'json'
+ * @param {Object} [template] - Custom payload template
+ * @param {Object} context - semantic-release context
+ * @returns {Object} Payload
+ */
+function buildPayload(event, format, template, context) {
+  const { nextRelease = {}, releases = [], errors = [], options = {}, env = process.env } = context;
+  const defaults = DEFAULT_TEMPLATES[format];
+
+  if (!defaults) {
+    throw new Error(`Unknown webhook format "${format}" (supported: auto, ${Object.keys(DEFAULT_TEMPLATES).join(', ')})`);
+  }
+
+  const release = releases.find(item => item && item.url);
+  const values = {
+    ...placeholdersFromContext(context),
+    event,
+    name: env.npm_package_name || repositoryName(options.repositoryUrl) || '',
+    notes: nextRelease.notes || '',
+    url: release ? release.url : '',
+    errors: [].concat(errors.errors || errors).map(error => `- ${error.message || error}`).join('\n')
+  };
+
+  const limit = MAX_MESSAGE_LENGTH[format];
+  const fill = value => {
+    if (typeof value === 'string') {
+      const text = applyPlaceholders(value, values);
+      return limit && text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+    }
+    if (Array.isArray(value)) {
+      return value.map(fill);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fill(item)]));
+    }
+    return value;
+  };
+
+  return fill(template || defaults[event]);
+}
+
+function repositoryName(repositoryUrl) {
+  const match = /([^/:]+?)(\.git)?$/.exec(repositoryUrl || '');
+  return match ? match[1] : null;
+}
+
+async function postWithRetries(url, payload, { retries, retryDelay, timeout }) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(timeout)
+      });
+
+      if (response.ok) {
+        return attempt;
+      }
+
+      lastError = new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+      // Other client errors (bad URL, bad payload) will not succeed on retry
+      if (response.status < 500 && response.status !== 429) {
+        throw Object.assign(lastError, { permanent: true });
+      }
+    } catch (error) {
+      if (error.permanent) {
+        throw error;
+      }
+      if (error.name === 'TimeoutError') {
+        lastError = new Error(`Timed out after ${timeout} ms`);
+      } else {
+        // fetch reports network errors as "fetch failed" with the real reason in cause
+        lastError = error.cause ? new Error(error.cause.message || error.cause.code) : error;
+      }
+    }
+
+    if (attempt <= retries) {
+      await new Promise(resolve => setTimeout(resolve, retryDelay * attempt));
+    }
+  }
+
+  throw lastError;
+}
+
+module.exports.resolveWebhooks = resolveWebhooks;
@@ -0,0 +1,117 @@
+/**
+ * Minimal YAML serializer for the generated GitHub Actions workflows.
+ *
+ * Mappings and sequences use block style. Strings stay plain when YAML reads them back
+ * unchanged, multi-line strings become block scalars (|), anything else is double-quoted.
+ * Top-level keys, entries of mappings of mappings (e.g. jobs) and items of sequences of mappings
+ * (e.g. steps) are separated by a blank line.
+ */
+
+const UNPRINTABLE_PATTERN = /[\x00-\x1f\x7f\u0085\u2028\u2029\ufeff]/;
+// Plain scalars YAML 1.1 or 1.2 would read as something other than a string
+const NON_STRING_PATTERN = /^(?:~|null|true|false|yes|no|on|off|y|n|[-+]?(?:\d[\d_]*(?:\.\d*)?|\.\d+)(?:e[-+]?\d+)?|0x[\da-f]+|0o[0-7]+|[-+]?\.(?:inf|nan))$/i;
+
+/**
+ * Serializes a value to a YAML document.
+ *
+ * @param {*} value - Object made of plain objects, arrays, strings, numbers, booleans and null
+ * @returns {string} YAML document ending with a newline
+ *
+ * @example
+ * toYaml({ steps: [{ name: 'Test', run: 'npm test -- --grep "a: b"' }] });
+ */
+function toYaml(value) {
+  return `${renderValue(value, 0, true).replace(/^\n/, '')}\n`;
+}
+
+function renderValue(value, indent, topLevel = false) {
+  if (Array.isArray(value)) {
+    return renderSequence(value, indent);
+  }
+  if (value && typeof value === 'object') {
+    return renderMapping(value, indent, topLevel);
+  }
+  return ` ${renderScalar(value, indent)}`;
+}
+
+function renderMapping(object, indent, topLevel) {
+  const keys = Object.keys(object).filter(key => object[key] !== undefined);
+  if (keys.length === 0) {
+    return ' {}';
+  }
+
+  const pad = ' '.repeat(indent);
+  const spaced = topLevel || keys.length > 1 && keys.every(key => isMapping(object[key]));
+  const lines = keys.map(key => `${pad}${renderKey(key)}:${renderValue(object[key], indent + 2)}`);
+  return `\n${lines.join(spaced ? '\n\n' : '\n')}`;
+}
+
+function renderSequence(array, indent) {
+  if (array.length === 0) {
+    return ' []';
+  }
+
+  const pad = ' '.repeat(indent);
+  const spaced = array.some(isMapping);
+  const lines = array.map(item => {
+    const rendered = renderValue(item, indent + 2);
+    // The first line of a nested block goes on the "- " line
+    return `${pad}-${rendered.startsWith('\n') ? ` ${rendered.slice(indent + 3)}` : rendered}`;
+  });
+  return `\n${lines.join(spaced ? '\n\n' : '\n')}`;
+}
+
+function isMapping(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function renderKey(key) {
+  return /^[A-Za-z0-9_][\w./-]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+function renderScalar(value, indent) {
+  if (value === null) {
+    return 'null';
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  if (typeof value !== 'string') {
+    throw new Error(`Cannot write ${typeof value} values to YAML`);
+  }
+
+  if (value.includes('\n') && value.trim() !== '' && !UNPRINTABLE_PATTERN.test(value.replace(/[\n\t]/g, ''))) {
+    return renderBlockScalar(value, indent);
+  }
+  return isPlainSafe(value) ? value : JSON.stringify(value);
+}
+
+function renderBlockScalar(value, indent) {
+  const trailing = /\n*$/.exec(value)[0].length;
+  const chomping = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+  // The content indentation must be given when the first line starts with a space
+  const indicator = /^\n*[ ]/.test(value) ? '2' : '';
+  const pad = ' '.repeat(indent);
+  const body = (trailing > 0 ? value.slice(0, -1) : value)
+    .split('\n')
+    .map(line => (line ? pad + line : ''))
+    .join('\n');
+
+  return `|${indicator}${chomping}\n${body}`;
+}
+
+function isPlainSafe(value) {
+  if (value === '' || value !== value.trim() || NON_STRING_PATTERN.test(value) || UNPRINTABLE_PATTERN.test(value)) {
+    return false;
+  }
+  // Indicators cannot start a plain scalar; "-", "?" and ":" can when a non-space follows
+  if (/^[,[\]{}#&*!|>'"%@`]/.test(value) || /^[-?:](\s|$)/.test(value)) {
+    return false;
+  }
+  return !/: |:$| #/.test(value);
+}
+
+module.exports = {
+  toYaml,
+  isPlainSafe
+};
@@ -0,0 +1,50 @@
+const { execFileSync } = require('child_process');
+
+/**
+ * semantic-release plugin for workspace packages. Wraps commit-analyzer and
+ * release-notes-generator so they only see commits touching the package directory.
+ */
+module.exports = {
+  analyzeCommits: async (pluginConfig, context) => {
+    // Both plugins are ES modules, so they are loaded with a dynamic import
+    const { analyzeCommits } = await import('@semantic-release/commit-analyzer');
+    const { workspacePath, options } = splitConfig(pluginConfig);
+    const commits = filterCommits(workspacePath, context);
+
+    context.logger.log(`Found ${commits.length} of ${context.commits.length} commits touching ${workspacePath}`);
+
+    return analyzeCommits(options, { ...context, commits });
+  },
+
+  generateNotes: async (pluginConfig, context) => {
+    const { generateNotes } = await import('@semantic-release/release-notes-generator');
+    const { workspacePath, options } = splitConfig(pluginConfig);
+    const commits = filterCommits(workspacePath, context);
+
+    return generateNotes(options, { ...context, commits });
+  }
+};
+
+function splitConfig(pluginConfig) {
+  const { workspacePath, ...options } = pluginConfig || {};
+
+  if (!workspacePath) {
+    throw new Error('workspace-commits plugin requires "workspacePath" in configuration');
+  }
+
+  return { workspacePath, options };
+}
+
+function filterCommits(workspacePath, context) {
+  const { commits = [], cwd } = context;
+
+  // One git call for the whole history is cheaper than one diff-tree per commit
+  const output = execFileSync('git', ['log', '--format=%H', '--', workspacePath], {
+    cwd: cwd || process.cwd(),
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024
+  });
+  const touching = new Set(output.split('\n').filter(Boolean));
+
+  return commits.filter(commit => touching.has(commit.hash));
+}